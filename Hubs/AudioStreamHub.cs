@@ -4,19 +4,33 @@ using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 using System.Security.Claims;
+using System.Security.Cryptography;
 using System.Text;
 using System.Threading.Tasks;
+using Concentus.Structs;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.SignalR;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.DependencyInjection;
 
 public class AudioStreamHub : Hub
 {
     private static readonly ConcurrentDictionary<int, HashSet<string>> EventGroups = new();
-    private static readonly ConcurrentDictionary<string, (int eventId, string display)> ConnectionIndex = new();
-    private static readonly ConcurrentDictionary<int, RecordingWriter?> ActiveRecordings = new();
-    private static readonly ConcurrentDictionary<int, int> EventSampleRates = new(); // Track sample rate per event
+    private static readonly ConcurrentDictionary<string, (int eventId, string display, string track)> ConnectionIndex = new();
+    // Stream state below is per audio track (the floor or an interpretation channel, see AudioTracks)
+    private static readonly ConcurrentDictionary<AudioTrackKey, RecordingWriter?> ActiveRecordings = new();
+    private static readonly ConcurrentDictionary<AudioTrackKey, int> EventSampleRates = new(); // Track sample rate per event
+    private static readonly ConcurrentDictionary<AudioTrackKey, string> EventCodecs = new(); // Track stream codec per event ("pcm16" or "opus")
+    private static readonly ConcurrentDictionary<AudioTrackKey, int> EventChannels = new(); // Track channel count per event (1 = mono, 2 = stereo)
+    private static readonly ConcurrentDictionary<AudioTrackKey, bool> PausedEvents = new(); // Events whose broadcaster is on a break
+    private static readonly ConcurrentDictionary<string, ListenerStats> ListenerHealth = new(); // Latest stats per listener connection
+    private static readonly ConcurrentDictionary<AudioTrackKey, RecentChunkBuffer> EventChunkBuffers = new(); // Recent chunks per event for late joiners
+    private static readonly ConcurrentDictionary<AudioTrackKey, BroadcasterRegistry> EventBroadcasters = new(); // Live and standby broadcasters per event
+    private static readonly ConcurrentDictionary<string, (AudioTrackKey key, long streamId)> BroadcasterConnections = new(); // Connection -> registered broadcaster
+    private static readonly ConcurrentDictionary<string, (int eventId, string state)> ListenerHands = new(); // Listener connection -> raised hand (ListenerHandStates)
+    private static readonly ConcurrentDictionary<string, (int? userId, string? tokenHash)> ListenerCredentials = new(); // Listener connection -> what a ban would apply to
+    private const int MaxDisplayNameLength = 40;
 
     private readonly IServiceProvider _serviceProvider;
 
@@ -25,6 +39,10 @@ public class AudioStreamHub : Hub
         _serviceProvider = serviceProvider;
     }
 
+    // How much audio the hub keeps per event for JoinListener's startSecondsBack
+    private int CatchUpBufferSeconds =>
+        _serviceProvider.GetRequiredService<IConfiguration>().GetValue("Streaming:CatchUpBufferSeconds", 30);
+
     public override async Task OnConnectedAsync()
     {
         Console.WriteLine($"[AudioStreamHub] Client connected: {Context.ConnectionId}");
@@ -34,30 +52,39 @@ public class AudioStreamHub : Hub
     public override async Task OnDisconnectedAsync(Exception? exception)
     {
         Console.WriteLine($"[AudioStreamHub] Client disconnected: {Context.ConnectionId}, Exception: {exception?.Message}");
-        if (ConnectionIndex.TryRemove(Context.ConnectionId, out var info))
+        ListenerHealth.TryRemove(Context.ConnectionId, out _);
+        if (BroadcasterConnections.TryRemove(Context.ConnectionId, out var broadcaster))
+        {
+            // Frees the live role; a reconnecting broadcaster re-registers and takes it back if still free
+            await RemoveBroadcasterAsync(broadcaster.key, broadcaster.streamId);
+        }
+        var info = await RemoveListenerAsync(Context.ConnectionId);
+        if (info != null)
         {
-            if (EventGroups.TryGetValue(info.eventId, out var set))
-            {
-                lock (set)
-                {
-                    set.Remove(Context.ConnectionId);
-                }
-            }
-            await Groups.RemoveFromGroupAsync(Context.ConnectionId, GroupName(info.eventId));
-            await Clients.Group(ManagerGroup(info.eventId)).SendAsync("ListenerLeft", Context.ConnectionId);
-            
             // Auto-stop recording if this connection had an active recording
-            if (ActiveRecordings.ContainsKey(info.eventId))
+            var key = new AudioTrackKey(info.Value.eventId, info.Value.track);
+            if (ActiveRecordings.ContainsKey(key))
             {
-                _ = StopRecording(info.eventId); // Fire and forget cleanup
+                _ = StopTrackRecordingAsync(key); // Fire and forget cleanup
             }
         }
         await base.OnDisconnectedAsync(exception);
     }
 
-    public async Task<(bool success, int sampleRate)> JoinListener(int eventId, string slug, string? token)
+    /// <summary>
+    /// Join the listener group of an event.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="slug">Event slug (must match the event)</param>
+    /// <param name="token">Optional stream token for events without anonymous streaming</param>
+    /// <param name="startSecondsBack">Return up to this many seconds of recently broadcast chunks
+    /// (capped by Streaming:CatchUpBufferSeconds) so the listener can start in the past and catch up; 0 = live only</param>
+    /// <param name="track">Audio track: "" for the floor or one of the event's interpretation channels.
+    /// Calling again with another track switches the connection over</param>
+    /// <param name="displayName">Name the listener chose to show to organizers (optional, see SetListenerName)</param>
+    public async Task<JoinListenerResult> JoinListener(int eventId, string slug, string? token, int startSecondsBack, string? track, string? displayName)
     {
-        Console.WriteLine($"[AudioStreamHub] JoinListener called: eventId={eventId}, slug={slug}, token={token}, connectionId={Context.ConnectionId}");
+        Console.WriteLine($"[AudioStreamHub] JoinListener called: eventId={eventId}, slug={slug}, token={token}, startSecondsBack={startSecondsBack}, track={track}, displayName={displayName}, connectionId={Context.ConnectionId}");
         
         using var scope = _serviceProvider.CreateScope();
         var db = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
@@ -66,7 +93,7 @@ public class AudioStreamHub : Hub
         if (ev == null)
         {
             Console.WriteLine($"[AudioStreamHub] Event not found: {eventId}/{slug}");
-            return (false, 0);
+            return JoinListenerResult.Denied;
         }
 
         Console.WriteLine($"[AudioStreamHub] Event found: AllowAnonymousStreaming={ev.AllowAnonymousStreaming}");
@@ -90,16 +117,16 @@ public class AudioStreamHub : Hub
             Console.WriteLine($"[AudioStreamHub] Access granted via token");
         }
         
-        if (!allowed && isAuth)
+        // Resolve the account even when access is already allowed: bans apply to it
+        int? userId = null;
+        if (isAuth)
         {
-            // Check if user is enlisted or organizer
             // Note: In our authentication system, the email is stored in the Name claim
             var emailClaim = user!.FindFirst(ClaimTypes.Email) 
                           ?? user.FindFirst("email") 
                           ?? user.FindFirst("preferred_username")
                           ?? user.FindFirst(ClaimTypes.Name);  // Email stored in Name claim
             
-            int? userId = null;
             if (emailClaim != null)
             {
                 Console.WriteLine($"[AudioStreamHub] Found email claim: {emailClaim.Value} (type: {emailClaim.Type})");
@@ -124,7 +151,8 @@ public class AudioStreamHub : Hub
                 }
             }
             
-            if (userId.HasValue)
+            // Check if user is enlisted or organizer
+            if (!allowed && userId.HasValue)
             {
                 var isOrganizer = await db.eventOrganizers.AnyAsync(eo => eo.EventId == eventId && eo.UserId == userId.Value);
                 var isEnlisted = await db.eventParticipants.AnyAsync(ep => ep.EventId == eventId && ep.UserId == userId.Value);
@@ -136,36 +164,89 @@ public class AudioStreamHub : Hub
         if (!allowed)
         {
             Console.WriteLine($"[AudioStreamHub] Access denied for eventId={eventId}");
-            return (false, 0);
+            return JoinListenerResult.Denied;
+        }
+
+        var tokenHash = string.IsNullOrEmpty(token) ? null : HashToken(token);
+        if ((userId.HasValue || tokenHash != null) && await db.eventListenerBans.AnyAsync(b => b.EventId == eventId
+                && ((userId.HasValue && b.UserId == userId) || (tokenHash != null && b.TokenHash == tokenHash))))
+        {
+            Console.WriteLine($"[AudioStreamHub] Banned listener refused for eventId={eventId}: userId={userId}");
+            return JoinListenerResult.Banned;
         }
 
-        await Groups.AddToGroupAsync(Context.ConnectionId, GroupName(eventId));
+        var trackName = AudioTracks.Find(ev.AudioTracks, track);
+        if (trackName == null)
+        {
+            Console.WriteLine($"[AudioStreamHub] Unknown track '{track}' for eventId={eventId}");
+            return JoinListenerResult.Denied;
+        }
+        var key = new AudioTrackKey(eventId, trackName);
+
+        // Switching tracks: leave the previous track's group, same connection
+        if (ConnectionIndex.TryGetValue(Context.ConnectionId, out var previous) && previous.eventId == eventId && previous.track != trackName)
+        {
+            await Groups.RemoveFromGroupAsync(Context.ConnectionId, GroupName(eventId, previous.track));
+            Console.WriteLine($"[AudioStreamHub] {Context.ConnectionId} switched from track '{previous.track}' to '{trackName}'");
+        }
+        await Groups.AddToGroupAsync(Context.ConnectionId, GroupName(eventId, trackName));
         EventGroups.AddOrUpdate(eventId, _ => new HashSet<string> { Context.ConnectionId }, (_, set) => { lock (set) set.Add(Context.ConnectionId); return set; });
-        var display = BuildDisplayName(user);
-        ConnectionIndex[Context.ConnectionId] = (eventId, display);
-        await Clients.Group(ManagerGroup(eventId)).SendAsync("ListenerJoined", Context.ConnectionId, display);
+        var display = BuildDisplayName(user, displayName);
+        ConnectionIndex[Context.ConnectionId] = (eventId, display, trackName);
+        ListenerCredentials[Context.ConnectionId] = (userId, tokenHash);
+        await Clients.Group(ManagerGroup(eventId)).SendAsync("ListenerJoined", Context.ConnectionId, display, trackName);
         
-        // Get stored sample rate for this event (if broadcaster already started)
-        var sampleRate = EventSampleRates.TryGetValue(eventId, out var rate) ? rate : 44100;
-        Console.WriteLine($"[AudioStreamHub] JoinListener success: {Context.ConnectionId} added to group {GroupName(eventId)}, sampleRate={sampleRate}Hz");
+        // Get stored sample rate and codec for this track (if broadcaster already started)
+        var sampleRate = EventSampleRates.TryGetValue(key, out var rate) ? rate : 44100;
+        var codec = EventCodecs.TryGetValue(key, out var storedCodec) ? storedCodec : AudioCodecs.Pcm16;
+        var channels = EventChannels.TryGetValue(key, out var storedChannels) ? storedChannels : 1;
+        var paused = PausedEvents.ContainsKey(key);
+
+        // Taken after joining the group, so nothing falls between backlog and live
+        // (chunks in both are discarded client-side by sequence number)
+        var backlog = startSecondsBack > 0 && EventChunkBuffers.TryGetValue(key, out var recent)
+            ? recent.Since(Math.Min(startSecondsBack, CatchUpBufferSeconds))
+            : new List<byte[]>();
+        Console.WriteLine($"[AudioStreamHub] JoinListener success: {Context.ConnectionId} added to group {GroupName(eventId, trackName)}, sampleRate={sampleRate}Hz, codec={codec}, channels={channels}, paused={paused}, backlog={backlog.Count} chunks");
         
-        return (true, sampleRate);
+        return new JoinListenerResult
+        {
+            Success = true,
+            SampleRate = sampleRate,
+            Codec = codec,
+            Channels = channels,
+            Paused = paused,
+            Backlog = backlog,
+            AllowRecording = ev.AllowListenerRecording
+        };
     }
 
     public async Task LeaveListener(int eventId)
     {
-        await Groups.RemoveFromGroupAsync(Context.ConnectionId, GroupName(eventId));
-        if (ConnectionIndex.TryRemove(Context.ConnectionId, out var info))
+        await RemoveListenerAsync(Context.ConnectionId);
+    }
+
+    // Take a connection out of its listener group and tell the managers; null if it was not listening.
+    // Works for other connections too (moderation), the group removal stops their audio.
+    private async Task<(int eventId, string display, string track)?> RemoveListenerAsync(string connectionId)
+    {
+        ListenerHealth.TryRemove(connectionId, out _);
+        ListenerCredentials.TryRemove(connectionId, out _);
+        if (!ConnectionIndex.TryRemove(connectionId, out var info))
+        {
+            return null;
+        }
+        await Groups.RemoveFromGroupAsync(connectionId, GroupName(info.eventId, info.track));
+        if (EventGroups.TryGetValue(info.eventId, out var set))
         {
-            if (EventGroups.TryGetValue(info.eventId, out var set))
+            lock (set)
             {
-                lock (set)
-                {
-                    set.Remove(Context.ConnectionId);
-                }
+                set.Remove(connectionId);
             }
-            await Clients.Group(ManagerGroup(info.eventId)).SendAsync("ListenerLeft", Context.ConnectionId);
         }
+        await ClearListenerHandAsync(connectionId);
+        await Clients.Group(ManagerGroup(info.eventId)).SendAsync("ListenerLeft", connectionId);
+        return info;
     }
 
     // Organizer joins manager group to receive listener events
@@ -177,7 +258,18 @@ public class AudioStreamHub : Hub
         // Send current listeners snapshot
         if (EventGroups.TryGetValue(eventId, out var set))
         {
-            var list = set.Select(cid => new { cid, display = ConnectionIndex.TryGetValue(cid, out var info) ? info.display : "?" }).ToList();
+            List<object> list;
+            lock (set)
+            {
+                list = set.Select(cid => (object)new
+                {
+                    cid,
+                    display = ConnectionIndex.TryGetValue(cid, out var info) ? info.display : "?",
+                    track = info.track ?? AudioTracks.Floor,
+                    hand = ListenerHands.TryGetValue(cid, out var hand) ? hand.state : ListenerHandStates.None,
+                    stats = ListenerHealth.TryGetValue(cid, out var stats) ? stats : null
+                }).ToList();
+            }
             Console.WriteLine($"[AudioStreamHub] Sending ListenersSnapshot with {list.Count} listeners");
             await Clients.Caller.SendAsync("ListenersSnapshot", list);
         }
@@ -189,37 +281,325 @@ public class AudioStreamHub : Hub
         return true;
     }
 
+    /// <summary>
+    /// Periodic health report from a listener (every few seconds).
+    /// Stored for ListenersSnapshot and forwarded to the event's manager group.
+    /// </summary>
+    /// <param name="eventId">ID of the event being listened to</param>
+    /// <param name="latencyMs">Current playback buffer in ms</param>
+    /// <param name="jitterMs">Estimated network jitter in ms</param>
+    /// <param name="chunksReceived">Chunks received this session</param>
+    /// <param name="chunksLost">Chunks missing according to sequence gaps</param>
+    /// <param name="chunksDropped">Chunks discarded by the listener to limit latency</param>
+    /// <param name="underruns">Times playback ran out of audio</param>
+    public async Task ReportListenerStats(int eventId, int latencyMs, int jitterMs, int chunksReceived, int chunksLost, int chunksDropped, int underruns)
+    {
+        // Only accept reports from connections that joined this event as listeners
+        if (!ConnectionIndex.TryGetValue(Context.ConnectionId, out var info) || info.eventId != eventId)
+        {
+            return;
+        }
+
+        var stats = new ListenerStats
+        {
+            LatencyMs = latencyMs,
+            JitterMs = jitterMs,
+            ChunksReceived = chunksReceived,
+            ChunksLost = chunksLost,
+            ChunksDropped = chunksDropped,
+            Underruns = underruns,
+            ReportedAt = DateTime.UtcNow
+        };
+        ListenerHealth[Context.ConnectionId] = stats;
+        await Clients.Group(ManagerGroup(eventId)).SendAsync("ListenerStats", Context.ConnectionId, stats);
+    }
+
+    /// <summary>
+    /// Listener changes the name organizers see in the listener list.
+    /// </summary>
+    /// <param name="eventId">ID of the event being listened to</param>
+    /// <param name="displayName">New name; empty goes back to the account name or "Guest"</param>
+    /// <returns>The name as shown to organizers, or null if the caller is not listening to the event</returns>
+    public async Task<string?> SetListenerName(int eventId, string? displayName)
+    {
+        if (!ConnectionIndex.TryGetValue(Context.ConnectionId, out var info) || info.eventId != eventId)
+        {
+            return null;
+        }
+        var display = BuildDisplayName(Context.User, displayName);
+        ConnectionIndex[Context.ConnectionId] = (eventId, display, info.track);
+        Console.WriteLine($"[AudioStreamHub] Listener {Context.ConnectionId} renamed from {info.display} to {display}");
+        await Clients.Group(ManagerGroup(eventId)).SendAsync("ListenerRenamed", Context.ConnectionId, display);
+        return display;
+    }
+
+    /// <summary>
+    /// Disconnect a listener. The listener gets Kicked and stops; it may join again.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="connectionId">Listener connection id from the manager's listener list</param>
+    /// <returns>False if the caller may not moderate or the listener is gone</returns>
+    public async Task<bool> KickListener(int eventId, string connectionId)
+    {
+        Console.WriteLine($"[AudioStreamHub] KickListener called for event {eventId}: listener {connectionId}");
+        if (!await CanManageEventAsync(eventId))
+        {
+            Console.WriteLine($"[AudioStreamHub] KickListener denied for connection {Context.ConnectionId}");
+            return false;
+        }
+        if (!ConnectionIndex.TryGetValue(connectionId, out var info) || info.eventId != eventId)
+        {
+            return false;
+        }
+        await Clients.Client(connectionId).SendAsync("Kicked");
+        await RemoveListenerAsync(connectionId);
+        Console.WriteLine($"[AudioStreamHub] Listener {info.display} ({connectionId}) kicked from event {eventId}");
+        return true;
+    }
+
+    /// <summary>
+    /// Ban a listener from the event: their account, or the stream token they joined with.
+    /// All their connections get AccessRevoked, and JoinListener refuses them until LiftListenerBan.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="connectionId">Listener connection id from the manager's listener list</param>
+    /// <returns>False if the caller may not moderate, the listener is gone, or it is a guest
+    /// without account or token (nothing to ban; use KickListener)</returns>
+    public async Task<bool> BanListener(int eventId, string connectionId)
+    {
+        Console.WriteLine($"[AudioStreamHub] BanListener called for event {eventId}: listener {connectionId}");
+        if (!await CanManageEventAsync(eventId))
+        {
+            Console.WriteLine($"[AudioStreamHub] BanListener denied for connection {Context.ConnectionId}");
+            return false;
+        }
+        if (!ConnectionIndex.TryGetValue(connectionId, out var info) || info.eventId != eventId
+            || !ListenerCredentials.TryGetValue(connectionId, out var credentials)
+            || (credentials.userId == null && credentials.tokenHash == null))
+        {
+            return false;
+        }
+
+        using (var scope = _serviceProvider.CreateScope())
+        {
+            var db = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+            db.eventListenerBans.Add(new EventListenerBan
+            {
+                EventId = eventId,
+                // An account ban covers every token the user might use
+                UserId = credentials.userId,
+                TokenHash = credentials.userId == null ? credentials.tokenHash : null,
+                DisplayName = info.display.Length > 100 ? info.display[..100] : info.display
+            });
+            await db.SaveChangesAsync();
+        }
+
+        // Same match as JoinListener's ban check: the account, or else the token
+        var banned = ListenerCredentials
+            .Where(c => credentials.userId != null
+                ? c.Value.userId == credentials.userId
+                : credentials.tokenHash != null && c.Value.tokenHash == credentials.tokenHash)
+            .Select(c => c.Key)
+            .Where(cid => ConnectionIndex.TryGetValue(cid, out var other) && other.eventId == eventId)
+            .ToList();
+        foreach (var cid in banned)
+        {
+            await Clients.Client(cid).SendAsync("AccessRevoked");
+            await RemoveListenerAsync(cid);
+        }
+        Console.WriteLine($"[AudioStreamHub] Listener {info.display} banned from event {eventId} (userId={credentials.userId}), {banned.Count} connection(s) removed");
+        return true;
+    }
+
+    /// <summary>
+    /// Bans of an event, newest first, for the manager view.
+    /// </summary>
+    public async Task<List<ListenerBanInfo>> GetListenerBans(int eventId)
+    {
+        if (!await CanManageEventAsync(eventId)) return new List<ListenerBanInfo>();
+        using var scope = _serviceProvider.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+        return await db.eventListenerBans
+            .Where(b => b.EventId == eventId)
+            .OrderByDescending(b => b.CreatedAt)
+            .Select(b => new ListenerBanInfo
+            {
+                Id = b.Id,
+                DisplayName = b.DisplayName,
+                Account = b.UserId != null,
+                CreatedAt = b.CreatedAt
+            })
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Lift a ban so the listener can join again.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="banId">Id from GetListenerBans</param>
+    public async Task<bool> LiftListenerBan(int eventId, int banId)
+    {
+        if (!await CanManageEventAsync(eventId)) return false;
+        using var scope = _serviceProvider.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+        var ban = await db.eventListenerBans.FirstOrDefaultAsync(b => b.Id == banId && b.EventId == eventId);
+        if (ban == null) return false;
+        db.eventListenerBans.Remove(ban);
+        await db.SaveChangesAsync();
+        Console.WriteLine($"[AudioStreamHub] Ban {banId} ({ban.DisplayName}) lifted for event {eventId}");
+        return true;
+    }
+
+    /// <summary>
+    /// Administrators and the organizers of this event may manage its stream: broadcast,
+    /// record, caption and moderate listeners. Same rule as the broadcast page.
+    /// </summary>
+    private async Task<bool> CanManageEventAsync(int eventId)
+    {
+        using var scope = _serviceProvider.CreateScope();
+        var events = scope.ServiceProvider.GetRequiredService<EventService>();
+        var canManage = await events.CanUserManageEventAsync(Context.User, eventId);
+        Console.WriteLine($"[AudioStreamHub] Connection {Context.ConnectionId} can manage event {eventId}: {canManage}");
+        return canManage;
+    }
+
+    /// <summary>
+    /// Listener asks to speak (Q&A). Managers see the raised hand and can approve it with ApproveSpeaker.
+    /// </summary>
+    /// <param name="eventId">ID of the event being listened to</param>
+    /// <returns>False if the caller has not joined the event as a listener</returns>
+    public async Task<bool> RaiseHand(int eventId)
+    {
+        if (!ConnectionIndex.TryGetValue(Context.ConnectionId, out var info) || info.eventId != eventId)
+        {
+            return false;
+        }
+        // Raising again while approved keeps the approval
+        var state = ListenerHands.AddOrUpdate(Context.ConnectionId,
+            _ => (eventId, ListenerHandStates.Raised),
+            (_, current) => current.eventId == eventId ? current : (eventId, ListenerHandStates.Raised)).state;
+        Console.WriteLine($"[AudioStreamHub] {info.display} ({Context.ConnectionId}) raised hand for event {eventId}");
+        await Clients.Group(ManagerGroup(eventId)).SendAsync("ListenerHandChanged", Context.ConnectionId, state);
+        return true;
+    }
+
+    /// <summary>
+    /// Listener withdraws the raised hand, or stops speaking if already approved.
+    /// </summary>
+    /// <param name="eventId">ID of the event being listened to</param>
+    public async Task LowerHand(int eventId)
+    {
+        if (ListenerHands.TryGetValue(Context.ConnectionId, out var hand) && hand.eventId == eventId)
+        {
+            await ClearListenerHandAsync(Context.ConnectionId);
+        }
+    }
+
+    /// <summary>
+    /// Let a listener with a raised hand speak: its microphone chunks (SpeakerAudioChunk)
+    /// are relayed to the live broadcaster of the floor, which mixes them into the stream
+    /// and so into the recording. Lasts until RevokeSpeaker or the listener lowers the hand.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="connectionId">Listener connection id from the manager's listener list</param>
+    /// <returns>False if the caller may not moderate or the listener has no raised hand</returns>
+    public async Task<bool> ApproveSpeaker(int eventId, string connectionId)
+    {
+        Console.WriteLine($"[AudioStreamHub] ApproveSpeaker called for event {eventId}: listener {connectionId}");
+        if (!await CanManageEventAsync(eventId))
+        {
+            Console.WriteLine($"[AudioStreamHub] ApproveSpeaker denied for connection {Context.ConnectionId}");
+            return false;
+        }
+        if (!ListenerHands.TryGetValue(connectionId, out var hand) || hand.eventId != eventId)
+        {
+            return false;
+        }
+        ListenerHands[connectionId] = (eventId, ListenerHandStates.Speaking);
+        await Clients.Client(connectionId).SendAsync("SpeakerApproved");
+        await Clients.Group(ManagerGroup(eventId)).SendAsync("ListenerHandChanged", connectionId, ListenerHandStates.Speaking);
+        return true;
+    }
+
+    /// <summary>
+    /// End a listener's turn to speak (or dismiss a raised hand).
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="connectionId">Listener connection id from the manager's listener list</param>
+    public async Task<bool> RevokeSpeaker(int eventId, string connectionId)
+    {
+        Console.WriteLine($"[AudioStreamHub] RevokeSpeaker called for event {eventId}: listener {connectionId}");
+        if (!await CanManageEventAsync(eventId))
+        {
+            Console.WriteLine($"[AudioStreamHub] RevokeSpeaker denied for connection {Context.ConnectionId}");
+            return false;
+        }
+        if (!ListenerHands.TryGetValue(connectionId, out var hand) || hand.eventId != eventId)
+        {
+            return false;
+        }
+        await Clients.Client(connectionId).SendAsync("SpeakerRevoked");
+        await ClearListenerHandAsync(connectionId);
+        return true;
+    }
+
+    // Microphone chunk from an approved speaker; same framing as broadcaster chunks.
+    // Compatibility path for JSON protocol clients: chunk arrives as a Base64 string
+    public Task SpeakerAudioChunk(int eventId, string base64Chunk) =>
+        RelaySpeakerAudio(eventId, Convert.FromBase64String(base64Chunk));
+
+    public Task SpeakerAudioChunkBinary(int eventId, byte[] chunk) =>
+        RelaySpeakerAudio(eventId, chunk);
+
+    // Speaker audio goes only to the floor's live broadcaster; interpreters hear it from there
+    private async Task RelaySpeakerAudio(int eventId, byte[] chunk)
+    {
+        if (!ListenerHands.TryGetValue(Context.ConnectionId, out var hand) || hand.eventId != eventId || hand.state != ListenerHandStates.Speaking)
+        {
+            return; // Revoked while chunks were in flight
+        }
+        var live = LiveBroadcasterConnection(new AudioTrackKey(eventId, AudioTracks.Floor));
+        if (live != null)
+        {
+            await Clients.Client(live).SendAsync("ReceiveSpeakerAudio", Context.ConnectionId, chunk);
+        }
+    }
+
+    // Forget a listener's raised hand; a speaker's uplink is closed at the broadcaster
+    private async Task ClearListenerHandAsync(string connectionId)
+    {
+        if (!ListenerHands.TryRemove(connectionId, out var hand)) return;
+        if (hand.state == ListenerHandStates.Speaking)
+        {
+            var live = LiveBroadcasterConnection(new AudioTrackKey(hand.eventId, AudioTracks.Floor));
+            if (live != null)
+            {
+                await Clients.Client(live).SendAsync("SpeakerEnded", connectionId);
+            }
+        }
+        Console.WriteLine($"[AudioStreamHub] Hand of {connectionId} cleared for event {hand.eventId}");
+        await Clients.Group(ManagerGroup(hand.eventId)).SendAsync("ListenerHandChanged", connectionId, ListenerHandStates.None);
+    }
+
+    private static string? LiveBroadcasterConnection(AudioTrackKey key)
+    {
+        if (!EventBroadcasters.TryGetValue(key, out var registry)) return null;
+        lock (registry)
+        {
+            return registry.Live?.ConnectionId;
+        }
+    }
+
     // Organizer broadcasts audio chunk (PCM16 little-endian)
+    // Compatibility path for JSON protocol clients: chunk arrives as a Base64 string
     private static int _broadcastCounter = 0;
     public async Task BroadcastAudioChunk(int eventId, string base64Chunk)
     {
         try
         {
-            _broadcastCounter++;
-            
             // Convert Base64 string to byte array
             byte[] chunk = Convert.FromBase64String(base64Chunk);
-            
-            if (chunk == null || chunk.Length == 0)
-            {
-                Console.WriteLine($"[AudioStreamHub] ERROR: Received empty chunk for event {eventId}");
-                throw new ArgumentException("Chunk cannot be empty");
-            }
-            
-            // Log every 100th chunk to verify broadcasting
-            if (_broadcastCounter % 100 == 1)
-            {
-                Console.WriteLine($"[AudioStreamHub] Broadcasting chunk #{_broadcastCounter} to group {GroupName(eventId)}, size: {chunk.Length} bytes");
-            }
-            
-            // Forward to group
-            await Clients.Group(GroupName(eventId)).SendAsync("ReceiveAudio", chunk);
-
-            // If recording active, append chunk
-            if (ActiveRecordings.TryGetValue(eventId, out var writer) && writer != null)
-            {
-                writer.AppendPcm16(chunk);
-            }
+            await RelayAudioChunk(eventId, chunk);
         }
         catch (Exception ex)
         {
@@ -229,36 +609,200 @@ public class AudioStreamHub : Hub
         }
     }
 
-    private static string GroupName(int eventId) => $"event-{eventId}";
+    // Organizer broadcasts audio chunk as raw bytes (MessagePack protocol clients)
+    public async Task BroadcastAudioChunkBinary(int eventId, byte[] chunk)
+    {
+        try
+        {
+            await RelayAudioChunk(eventId, chunk);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"[AudioStreamHub] ERROR in BroadcastAudioChunkBinary: {ex.GetType().Name}: {ex.Message}");
+            Console.WriteLine($"[AudioStreamHub] Stack trace: {ex.StackTrace}");
+            throw;
+        }
+    }
+
+    // Forward a chunk to listeners and the active recording.
+    // SignalR serializes byte[] per listener protocol (Base64 for JSON, bin for MessagePack).
+    private async Task RelayAudioChunk(int eventId, byte[] chunk)
+    {
+        _broadcastCounter++;
+
+        if (chunk == null || chunk.Length == 0)
+        {
+            Console.WriteLine($"[AudioStreamHub] ERROR: Received empty chunk for event {eventId}");
+            throw new ArgumentException("Chunk cannot be empty");
+        }
+
+        // The broadcaster's registration tells which track the chunk belongs to
+        var key = CallerTrack(eventId);
+
+        // With several broadcasters registered only the live one reaches listeners;
+        // without a registration (older clients) only the event's organizers do
+        if (EventBroadcasters.TryGetValue(key, out var registry)
+            ? !registry.IsLive(chunk, Context.ConnectionId)
+            : !await CanManageEventAsync(eventId))
+        {
+            return;
+        }
+
+        // Log every 100th chunk to verify broadcasting
+        if (_broadcastCounter % 100 == 1)
+        {
+            Console.WriteLine($"[AudioStreamHub] Broadcasting chunk #{_broadcastCounter} to group {GroupName(key)}, size: {chunk.Length} bytes");
+        }
+
+        // Forward to group
+        await Clients.Group(GroupName(key)).SendAsync("ReceiveAudio", chunk);
+
+        // Keep for listeners joining (or re-joining) in the next few seconds
+        var catchUpSeconds = CatchUpBufferSeconds;
+        if (catchUpSeconds > 0)
+        {
+            EventChunkBuffers.GetOrAdd(key, _ => new RecentChunkBuffer(TimeSpan.FromSeconds(catchUpSeconds))).Add(chunk);
+        }
+
+        // If recording active, append chunk (Opus packets are decoded to PCM16 by the writer)
+        // Listeners get the header; the WAV file only gets the audio payload
+        if (ActiveRecordings.TryGetValue(key, out var writer) && writer != null)
+        {
+            if (AudioChunkHeader.TryReadCaptureTimeMs(chunk, out var captureTimeMs))
+            {
+                writer.MarkCaptureTime(captureTimeMs); // Lets captions be placed in the file
+            }
+            writer.AppendChunk(AudioChunkHeader.StripHeader(chunk));
+        }
+
+        _serviceProvider.GetRequiredService<LiveCaptionService>().Feed(key, chunk,
+            EventCodecs.TryGetValue(key, out var codec) ? codec : AudioCodecs.Pcm16,
+            EventSampleRates.TryGetValue(key, out var sampleRate) ? sampleRate : 44100,
+            EventChannels.TryGetValue(key, out var channels) ? channels : 1);
+    }
+
+    /// <summary>
+    /// Relay a caption to the event's listeners and add it to the active recording's WebVTT file.
+    /// Used by SubmitCaption and by LiveCaptionService (through IHubContext, hence static).
+    /// </summary>
+    public static async Task PublishCaptionAsync(IHubClients clients, AudioTrackKey key, CaptionSegment caption)
+    {
+        if (ActiveRecordings.TryGetValue(key, out var writer) && writer != null)
+        {
+            writer.AppendCaption(caption);
+        }
+        await clients.Group(GroupName(key)).SendAsync("ReceiveCaption", caption.StartMs, caption.EndMs, caption.Text);
+    }
+
+    /// <summary>
+    /// Send a caption from outside the server transcriber (a human captioner or an external engine).
+    /// Only administrators and the event's organizers may submit captions.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="startMs">Start of the captioned speech, as a broadcaster capture time (epoch ms, see AudioChunkHeader)</param>
+    /// <param name="endMs">End of the captioned speech (same clock)</param>
+    /// <param name="text">Caption text</param>
+    /// <param name="track">Audio track the caption belongs to ("" = floor)</param>
+    public async Task<bool> SubmitCaption(int eventId, double startMs, double endMs, string text, string? track)
+    {
+        if (!await CanManageEventAsync(eventId))
+        {
+            Console.WriteLine($"[AudioStreamHub] SubmitCaption denied for connection {Context.ConnectionId}");
+            return false;
+        }
+        if (string.IsNullOrWhiteSpace(text)) return false;
+        await PublishCaptionAsync(Clients, new AudioTrackKey(eventId, AudioTracks.Normalize(track)), new CaptionSegment { StartMs = startMs, EndMs = Math.Max(startMs, endMs), Text = text.Trim() });
+        return true;
+    }
+
+    // Listener group of an audio track; the floor keeps the original per-event name
+    private static string GroupName(int eventId, string track) =>
+        track.Length == 0 ? $"event-{eventId}" : $"event-{eventId}-track-{track}";
+    private static string GroupName(AudioTrackKey key) => GroupName(key.EventId, key.Track);
     private static string ManagerGroup(int eventId) => $"event-{eventId}-mgr";
-    private static string BuildDisplayName(ClaimsPrincipal? user)
+    private static string BroadcasterGroup(AudioTrackKey key) =>
+        key.Track.Length == 0 ? $"event-{key.EventId}-bc" : $"event-{key.EventId}-track-{key.Track}-bc";
+
+    // Track the caller broadcasts on; the floor unless it registered for an interpretation channel
+    private AudioTrackKey CallerTrack(int eventId) =>
+        BroadcasterConnections.TryGetValue(Context.ConnectionId, out var broadcaster) && broadcaster.key.EventId == eventId
+            ? broadcaster.key
+            : new AudioTrackKey(eventId, AudioTracks.Floor);
+    // A chosen name is shown next to the account name, so organizers know who they moderate
+    private static string BuildDisplayName(ClaimsPrincipal? user, string? chosenName)
     {
+        var name = CleanDisplayName(chosenName);
         if (user?.Identity?.IsAuthenticated == true)
         {
-            return user.Identity?.Name ?? "User";
+            var account = user.Identity?.Name ?? "User";
+            return name == null ? account : $"{name} ({account})";
         }
-        return "Guest";
+        return name ?? "Guest";
     }
 
+    private static string? CleanDisplayName(string? name)
+    {
+        if (string.IsNullOrWhiteSpace(name)) return null;
+        var cleaned = new string(name.Where(c => !char.IsControl(c)).ToArray()).Trim();
+        if (cleaned.Length > MaxDisplayNameLength) cleaned = cleaned[..MaxDisplayNameLength].TrimEnd();
+        return cleaned.Length == 0 ? null : cleaned;
+    }
+
+    private static string HashToken(string token) =>
+        Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token))).ToLowerInvariant();
+
     /// <summary>
     /// Notify all listeners that the stream has started for an event.
     /// Should be called by the broadcaster when they begin streaming.
-    /// Stores the sample rate so late-joining listeners can receive it.
+    /// Stores the sample rate, codec and channel count so late-joining listeners can receive them.
     /// </summary>
     /// <param name="eventId">ID of the event</param>
     /// <param name="sampleRate">Sample rate of the audio stream in Hz (e.g., 44100, 48000)</param>
-    public async Task NotifyStreamStarted(int eventId, int sampleRate)
+    /// <param name="codec">Chunk encoding: "pcm16" (raw) or "opus" (WebCodecs compressed)</param>
+    /// <param name="channels">Channel count: 1 (mono) or 2 (stereo, interleaved)</param>
+    public async Task NotifyStreamStarted(int eventId, int sampleRate, string codec, int channels)
     {
-        var groupName = GroupName(eventId);
-        Console.WriteLine($"[AudioStreamHub] NotifyStreamStarted called for event {eventId} with sample rate {sampleRate}Hz");
-        
-        // Store sample rate for this event
-        EventSampleRates[eventId] = sampleRate;
-        Console.WriteLine($"[AudioStreamHub] Stored sample rate {sampleRate}Hz for event {eventId}");
+        var key = CallerTrack(eventId);
+        var groupName = GroupName(key);
+        codec = AudioCodecs.Normalize(codec);
+        channels = Math.Clamp(channels, 1, 2);
+        Console.WriteLine($"[AudioStreamHub] NotifyStreamStarted called for {key} with sample rate {sampleRate}Hz, codec {codec}, channels {channels}");
+        if (!await IsLiveBroadcasterAsync(key))
+        {
+            Console.WriteLine($"[AudioStreamHub] Ignoring NotifyStreamStarted from connection {Context.ConnectionId} (not the live broadcaster)");
+            return;
+        }
+
+        StoreStreamFormat(key, sampleRate, codec, channels);
         
         Console.WriteLine($"[AudioStreamHub] Sending StreamStarted to group: {groupName}");
-        await Clients.Group(groupName).SendAsync("StreamStarted", sampleRate);
-        Console.WriteLine($"[AudioStreamHub] StreamStarted notification sent to group {groupName} with sampleRate={sampleRate}");
+        await Clients.Group(groupName).SendAsync("StreamStarted", sampleRate, codec, channels);
+        Console.WriteLine($"[AudioStreamHub] StreamStarted notification sent to group {groupName} with sampleRate={sampleRate}, codec={codec}, channels={channels}");
+    }
+
+    /// <summary>
+    /// Store the stream format late-joining listeners receive. Buffered chunks and the
+    /// caption pipeline are only useful in the same format (a reconnecting broadcaster
+    /// re-announces the unchanged one), so they are reset when it changes.
+    /// </summary>
+    /// <returns>True if the format differs from the previously stored one</returns>
+    private bool StoreStreamFormat(AudioTrackKey key, int sampleRate, string codec, int channels)
+    {
+        var formatChanged = !EventSampleRates.TryGetValue(key, out var previousRate) || previousRate != sampleRate
+            || !EventCodecs.TryGetValue(key, out var previousCodec) || previousCodec != codec
+            || !EventChannels.TryGetValue(key, out var previousChannels) || previousChannels != channels;
+        if (formatChanged)
+        {
+            EventChunkBuffers.TryRemove(key, out _);
+            _serviceProvider.GetRequiredService<LiveCaptionService>().Reset(key);
+        }
+
+        EventSampleRates[key] = sampleRate;
+        EventCodecs[key] = codec;
+        EventChannels[key] = channels;
+        PausedEvents.TryRemove(key, out _);
+        Console.WriteLine($"[AudioStreamHub] Stored sample rate {sampleRate}Hz, codec {codec}, channels {channels} for {key}");
+        return formatChanged;
     }
 
     /// <summary>
@@ -269,12 +813,23 @@ public class AudioStreamHub : Hub
     /// <param name="eventId">ID of the event</param>
     public async Task NotifyStreamEnded(int eventId)
     {
-        var groupName = GroupName(eventId);
-        Console.WriteLine($"[AudioStreamHub] NotifyStreamEnded called for event {eventId}");
+        var key = CallerTrack(eventId);
+        var groupName = GroupName(key);
+        Console.WriteLine($"[AudioStreamHub] NotifyStreamEnded called for {key}");
+        if (!await IsLiveBroadcasterAsync(key))
+        {
+            Console.WriteLine($"[AudioStreamHub] Ignoring NotifyStreamEnded from connection {Context.ConnectionId} (not the live broadcaster)");
+            return;
+        }
         
-        // Clear stored sample rate
-        EventSampleRates.TryRemove(eventId, out _);
-        Console.WriteLine($"[AudioStreamHub] Cleared sample rate for event {eventId}");
+        // Clear stored stream format
+        EventSampleRates.TryRemove(key, out _);
+        EventCodecs.TryRemove(key, out _);
+        EventChannels.TryRemove(key, out _);
+        PausedEvents.TryRemove(key, out _);
+        EventChunkBuffers.TryRemove(key, out _);
+        _serviceProvider.GetRequiredService<LiveCaptionService>().Reset(key); // Transcribes the last partial window
+        Console.WriteLine($"[AudioStreamHub] Cleared stream format for {key}");
         
         Console.WriteLine($"[AudioStreamHub] Sending StreamEnded to group: {groupName}");
         await Clients.Group(groupName).SendAsync("StreamEnded");
@@ -282,105 +837,299 @@ public class AudioStreamHub : Hub
     }
 
     /// <summary>
-    /// Start server-side recording for an event.
-    /// Only administrators and assigned organizers can start recordings.
+    /// Notify all listeners that the broadcaster is on a break.
+    /// The stream stays open; no audio chunks are sent until NotifyStreamResumed.
     /// </summary>
-    /// <param name="eventId">ID of the event to record</param>
-    /// <returns>True if recording started successfully, false if already recording or permission denied</returns>
-    public async Task<bool> StartRecording(int eventId)
+    /// <param name="eventId">ID of the event</param>
+    public async Task NotifyStreamPaused(int eventId)
     {
-        Console.WriteLine($"[AudioStreamHub] StartRecording called for event {eventId} by connection {Context.ConnectionId}");
-        
-        // Check authorization
+        Console.WriteLine($"[AudioStreamHub] NotifyStreamPaused called for event {eventId}");
+        var key = CallerTrack(eventId);
+        if (!await IsLiveBroadcasterAsync(key)) return;
+        PausedEvents[key] = true;
+        await Clients.Group(GroupName(key)).SendAsync("StreamPaused");
+    }
+
+    /// <summary>
+    /// Notify all listeners that the broadcaster is back from a break.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    public async Task NotifyStreamResumed(int eventId)
+    {
+        Console.WriteLine($"[AudioStreamHub] NotifyStreamResumed called for event {eventId}");
+        var key = CallerTrack(eventId);
+        if (!await IsLiveBroadcasterAsync(key)) return;
+        PausedEvents.TryRemove(key, out _);
+        await Clients.Group(GroupName(key)).SendAsync("StreamResumed");
+    }
+
+    /// <summary>
+    /// Register the caller as a broadcaster of an event (also after a reconnect).
+    /// Several organizers can be connected at once: one is live, the others stand by
+    /// with their microphones open until the live broadcaster hands off to them.
+    /// Only the live broadcaster's chunks reach listeners. Each audio track (the floor and
+    /// every interpretation channel) has its own live and standby broadcasters.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="track">Audio track to broadcast on: "" for the floor or one of the event's interpretation channels</param>
+    /// <param name="streamId">Stream id from the caller's chunk headers (identifies the broadcaster across reconnects)</param>
+    /// <param name="sampleRate">Sample rate of the caller's audio in Hz</param>
+    /// <param name="codec">Chunk encoding: "pcm16" or "opus"</param>
+    /// <param name="channels">Channel count: 1 or 2</param>
+    /// <param name="standby">Stand by even if nobody is live; otherwise the caller goes live when the role is free</param>
+    public async Task<BroadcasterRoleResult> RegisterBroadcaster(int eventId, string? track, long streamId, int sampleRate, string codec, int channels, bool standby)
+    {
+        Console.WriteLine($"[AudioStreamHub] RegisterBroadcaster called for event {eventId}: track '{track}', stream {streamId}, standby={standby}, connection {Context.ConnectionId}");
         var user = Context.User;
-        var isAuthenticated = user?.Identity?.IsAuthenticated == true;
-        
-        if (!isAuthenticated)
+        if (!await CanManageEventAsync(eventId))
         {
-            Console.WriteLine($"[AudioStreamHub] StartRecording denied: User not authenticated");
-            return false;
+            Console.WriteLine($"[AudioStreamHub] RegisterBroadcaster denied for connection {Context.ConnectionId}");
+            return new BroadcasterRoleResult();
         }
-        
-        var isAdmin = user!.IsInRole("Administrator");
-        Console.WriteLine($"[AudioStreamHub] User is Administrator: {isAdmin}");
-        
-        if (!isAdmin)
+
+        using (var scope = _serviceProvider.CreateScope())
         {
-            // Check if user is an organizer for this event
-            using var scope = _serviceProvider.CreateScope();
             var db = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
-            
-            // Try to get user ID from claims
-            // Note: In our authentication system, the email is stored in the Name claim
-            int? userId = null;
-            var emailClaim = user.FindFirst(c => c.Type == System.Security.Claims.ClaimTypes.Email) 
-                          ?? user.FindFirst("email") 
-                          ?? user.FindFirst("preferred_username")
-                          ?? user.FindFirst(System.Security.Claims.ClaimTypes.Name); // Check Name claim as fallback
-            
-            if (emailClaim != null)
+            var configuredTracks = await db.events.Where(e => e.Id == eventId).Select(e => e.AudioTracks).FirstOrDefaultAsync();
+            track = AudioTracks.Find(configuredTracks, track);
+        }
+        if (track == null)
+        {
+            Console.WriteLine($"[AudioStreamHub] RegisterBroadcaster denied: unknown track for event {eventId}");
+            return new BroadcasterRoleResult();
+        }
+        var key = new AudioTrackKey(eventId, track);
+
+        var info = new BroadcasterInfo
+        {
+            StreamId = streamId,
+            ConnectionId = Context.ConnectionId,
+            Display = BuildDisplayName(user, null),
+            SampleRate = sampleRate,
+            Codec = AudioCodecs.Normalize(codec),
+            Channels = Math.Clamp(channels, 1, 2)
+        };
+        var result = new BroadcasterRoleResult { Recording = ActiveRecordings.ContainsKey(key) };
+        while (true)
+        {
+            var registry = EventBroadcasters.GetOrAdd(key, _ => new BroadcasterRegistry());
+            lock (registry)
             {
-                Console.WriteLine($"[AudioStreamHub] Found email claim: {emailClaim.Value} (type: {emailClaim.Type})");
-                var currentUser = await db.users.FirstOrDefaultAsync(u => u.userEmail == emailClaim.Value);
-                if (currentUser != null)
-                {
-                    userId = currentUser.Id;
-                    Console.WriteLine($"[AudioStreamHub] Resolved user ID: {userId}");
-                }
-                else
+                if (registry.Removed) continue; // Emptied by a concurrent leave, take a fresh one
+                registry.Broadcasters[streamId] = info;
+                if (!standby && registry.LiveStreamId == null)
                 {
-                    Console.WriteLine($"[AudioStreamHub] ERROR: No user found in database with email: {emailClaim.Value}");
+                    registry.LiveStreamId = streamId;
                 }
+                result.Live = registry.LiveStreamId == streamId;
             }
-            
-            if (!userId.HasValue)
+            break;
+        }
+        BroadcasterConnections[Context.ConnectionId] = (key, streamId);
+        await Groups.AddToGroupAsync(Context.ConnectionId, BroadcasterGroup(key));
+        Console.WriteLine($"[AudioStreamHub] Broadcaster {info.Display} registered for {key} as {(result.Live ? "live" : "standby")}");
+        await SendBroadcastersAsync(key);
+        return result;
+    }
+
+    /// <summary>
+    /// Unregister the caller as a broadcaster (when it stops). If it was live, the role is
+    /// free and a standby broadcaster can take it with RegisterBroadcaster.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="streamId">Stream id the caller registered with</param>
+    public async Task LeaveBroadcasters(int eventId, long streamId)
+    {
+        Console.WriteLine($"[AudioStreamHub] LeaveBroadcasters called for event {eventId}: stream {streamId}");
+        var key = CallerTrack(eventId);
+        BroadcasterConnections.TryRemove(Context.ConnectionId, out _);
+        await Groups.RemoveFromGroupAsync(Context.ConnectionId, BroadcasterGroup(key));
+        await RemoveBroadcasterAsync(key, streamId);
+    }
+
+    /// <summary>
+    /// Hand the live role to a standby broadcaster. The switch is atomic: from the moment
+    /// it happens only the new broadcaster's chunks are relayed. Listeners get StreamStarted
+    /// with the new broadcaster's format; if that differs from the old one, a running
+    /// recording is closed and a new one started so each file has a single format.
+    /// Only the live broadcaster (or an administrator) can hand off.
+    /// </summary>
+    /// <param name="eventId">ID of the event</param>
+    /// <param name="targetStreamId">Stream id of the standby broadcaster to go live</param>
+    /// <returns>True if the target is live afterwards</returns>
+    public async Task<bool> HandOffBroadcast(int eventId, long targetStreamId)
+    {
+        Console.WriteLine($"[AudioStreamHub] HandOffBroadcast called for event {eventId}: target stream {targetStreamId}, connection {Context.ConnectionId}");
+        var key = CallerTrack(eventId);
+        if (!EventBroadcasters.TryGetValue(key, out var registry))
+        {
+            return false;
+        }
+
+        BroadcasterInfo? previous;
+        BroadcasterInfo? next;
+        lock (registry)
+        {
+            if (!registry.Broadcasters.TryGetValue(targetStreamId, out next))
             {
-                Console.WriteLine($"[AudioStreamHub] StartRecording denied: Could not resolve user ID from claims");
-                // Log all available claims for debugging
-                foreach (var claim in user.Claims)
-                {
-                    Console.WriteLine($"[AudioStreamHub] Available claim: {claim.Type} = {claim.Value}");
-                }
+                Console.WriteLine($"[AudioStreamHub] HandOffBroadcast failed: stream {targetStreamId} is not registered");
                 return false;
             }
-            
-            var isOrganizer = await db.eventOrganizers
-                .AnyAsync(eo => eo.EventId == eventId && eo.UserId == userId.Value);
-            
-            Console.WriteLine($"[AudioStreamHub] User {userId} is organizer for event {eventId}: {isOrganizer}");
-            
-            if (!isOrganizer)
+            previous = registry.Live;
+            if (previous?.ConnectionId != Context.ConnectionId && Context.User?.IsInRole("Administrator") != true)
             {
-                Console.WriteLine($"[AudioStreamHub] StartRecording denied: User is not an organizer");
+                Console.WriteLine($"[AudioStreamHub] HandOffBroadcast denied: caller is not the live broadcaster");
                 return false;
             }
+            if (previous == next) return true;
+            registry.LiveStreamId = targetStreamId;
+        }
+        Console.WriteLine($"[AudioStreamHub] {key} handed off from {previous?.Display ?? "nobody"} to {next.Display}");
+
+        if (StoreStreamFormat(key, next.SampleRate, next.Codec, next.Channels) && ActiveRecordings.ContainsKey(key))
+        {
+            Console.WriteLine($"[AudioStreamHub] Stream format changed with the handoff, starting a new recording file");
+            await StopTrackRecordingAsync(key);
+            BeginRecording(key);
+        }
+        await Clients.Group(GroupName(key)).SendAsync("StreamStarted", next.SampleRate, next.Codec, next.Channels);
+
+        // The new broadcaster starts sending once told, i.e. after listeners know the format
+        var recording = ActiveRecordings.ContainsKey(key);
+        if (previous != null)
+        {
+            await Clients.Client(previous.ConnectionId).SendAsync("BroadcastRoleChanged", false, recording);
+        }
+        await Clients.Client(next.ConnectionId).SendAsync("BroadcastRoleChanged", true, recording);
+        await SendBroadcastersAsync(key);
+        return true;
+    }
+
+    private async Task RemoveBroadcasterAsync(AudioTrackKey key, long streamId)
+    {
+        if (!EventBroadcasters.TryGetValue(key, out var registry)) return;
+        lock (registry)
+        {
+            // After a reconnect the stream id is registered under the new connection
+            if (!registry.Broadcasters.TryGetValue(streamId, out var info) || info.ConnectionId != Context.ConnectionId) return;
+            registry.Broadcasters.Remove(streamId);
+            if (registry.LiveStreamId == streamId)
+            {
+                registry.LiveStreamId = null;
+                Console.WriteLine($"[AudioStreamHub] Live broadcaster {info.Display} left {key}");
+            }
+            if (registry.Broadcasters.Count == 0)
+            {
+                registry.Removed = true;
+                EventBroadcasters.TryRemove(new KeyValuePair<AudioTrackKey, BroadcasterRegistry>(key, registry));
+            }
+        }
+        await SendBroadcastersAsync(key);
+    }
+
+    // Send the current broadcaster list to every registered broadcaster of the track
+    private async Task SendBroadcastersAsync(AudioTrackKey key)
+    {
+        var list = new List<object>();
+        if (EventBroadcasters.TryGetValue(key, out var registry))
+        {
+            lock (registry)
+            {
+                list = registry.Broadcasters.Values
+                    .Select(b => (object)new
+                    {
+                        streamId = b.StreamId,
+                        display = b.Display,
+                        live = b.StreamId == registry.LiveStreamId,
+                        sampleRate = b.SampleRate,
+                        codec = b.Codec,
+                        channels = b.Channels
+                    })
+                    .ToList();
+            }
+        }
+        await Clients.Group(BroadcasterGroup(key)).SendAsync("BroadcastersChanged", list);
+    }
+
+    // Stream lifecycle calls from standby broadcasters are ignored; tracks without
+    // registered broadcasters (older clients) accept them from the event's organizers
+    private async Task<bool> IsLiveBroadcasterAsync(AudioTrackKey key)
+    {
+        if (!EventBroadcasters.TryGetValue(key, out var registry)) return await CanManageEventAsync(key.EventId);
+        lock (registry)
+        {
+            return registry.Live?.ConnectionId == Context.ConnectionId;
+        }
+    }
+
+    /// <summary>
+    /// Start server-side recording for an event.
+    /// Only administrators and assigned organizers can start recordings.
+    /// Records the audio track the caller broadcasts on (each track gets its own file).
+    /// </summary>
+    /// <param name="eventId">ID of the event to record</param>
+    /// <returns>True if recording started successfully, false if already recording or permission denied</returns>
+    public async Task<bool> StartRecording(int eventId)
+    {
+        Console.WriteLine($"[AudioStreamHub] StartRecording called for event {eventId} by connection {Context.ConnectionId}");
+        
+        if (!await CanManageEventAsync(eventId))
+        {
+            Console.WriteLine($"[AudioStreamHub] StartRecording denied: not an administrator or organizer of event {eventId}");
+            return false;
         }
         
         // Check if already recording
-        if (ActiveRecordings.ContainsKey(eventId))
+        var key = CallerTrack(eventId);
+        if (ActiveRecordings.ContainsKey(key))
         {
-            Console.WriteLine($"[AudioStreamHub] Recording already active for event {eventId}");
+            Console.WriteLine($"[AudioStreamHub] Recording already active for {key}");
             return false; // already recording
         }
         
-        // Start recording
-        var fileName = $"event-{eventId}-{DateTime.UtcNow:yyyyMMddHHmmss}.wav";
+        BeginRecording(key);
+        Console.WriteLine($"[AudioStreamHub] Recording started successfully for {key}");
+        return true;
+    }
+
+    // Open a recording file in the track's current stream format
+    private static void BeginRecording(AudioTrackKey key)
+    {
         var path = Path.Combine("wwwroot", "recordings");
         Directory.CreateDirectory(path);
+        var prefix = $"event-{key.EventId}{AudioTracks.FileSuffix(key.Track)}-{DateTime.UtcNow:yyyyMMddHHmmss}";
+        // A handoff can close one file and open the next within the same second
+        var fileName = $"{prefix}.wav";
+        for (var n = 2; File.Exists(Path.Combine(path, fileName)); n++)
+        {
+            fileName = $"{prefix}-{n}.wav";
+        }
         var fullPath = Path.Combine(path, fileName);
-        Console.WriteLine($"[AudioStreamHub] Creating recording file: {fullPath}");
-        var writer = new RecordingWriter(fullPath, 44100, 1);
-        ActiveRecordings[eventId] = writer;
-        Console.WriteLine($"[AudioStreamHub] Recording started successfully for event {eventId}");
-        return true;
+        // Record at the broadcaster's announced rate; Opus chunks are decoded at 48kHz
+        var codec = EventCodecs.TryGetValue(key, out var storedCodec) ? storedCodec : AudioCodecs.Pcm16;
+        var sampleRate = codec == AudioCodecs.Opus
+            ? RecordingWriter.OpusDecodeSampleRate
+            : (EventSampleRates.TryGetValue(key, out var rate) ? rate : 44100);
+        var channels = (short)(EventChannels.TryGetValue(key, out var storedChannels) ? storedChannels : 1);
+        Console.WriteLine($"[AudioStreamHub] Creating recording file: {fullPath} ({sampleRate}Hz, {channels}ch, codec {codec})");
+        ActiveRecordings[key] = new RecordingWriter(fullPath, sampleRate, channels, codec);
     }
 
-    public async Task<string?> StopRecording(int eventId)
+    /// <summary>
+    /// Stop the recording of the audio track the caller broadcasts on.
+    /// </summary>
+    /// <returns>File name of the finished recording, or null if none was active</returns>
+    public Task<string?> StopRecording(int eventId)
     {
         Console.WriteLine($"[AudioStreamHub] StopRecording called for event {eventId}");
-        if (!ActiveRecordings.TryRemove(eventId, out var writer) || writer == null)
+        return StopTrackRecordingAsync(CallerTrack(eventId));
+    }
+
+    private async Task<string?> StopTrackRecordingAsync(AudioTrackKey key)
+    {
+        if (!ActiveRecordings.TryRemove(key, out var writer) || writer == null)
         {
-            Console.WriteLine($"[AudioStreamHub] No active recording found for event {eventId}");
+            Console.WriteLine($"[AudioStreamHub] No active recording found for {key}");
             return null;
         }
         
@@ -397,7 +1146,8 @@ public class AudioStreamHub : Hub
             
             var recording = new EventRecording
             {
-                EventId = eventId,
+                EventId = key.EventId,
+                AudioTrack = key.Track.Length == 0 ? null : key.Track,
                 FileName = fileName,
                 DurationSeconds = durationSeconds,
                 Completed = true,
@@ -419,29 +1169,328 @@ public class AudioStreamHub : Hub
     }
 }
 
-// Minimal WAV writer for PCM16 mono
+// Result of JoinListener. A class (not a tuple) so both JSON and MessagePack
+// protocols serialize named fields the client can read.
+public class JoinListenerResult
+{
+    public static JoinListenerResult Denied => new() { Success = false, SampleRate = 0 };
+    public static JoinListenerResult Banned => new() { Success = false, SampleRate = 0, IsBanned = true };
+
+    public bool Success { get; set; }
+    public int SampleRate { get; set; }
+    public string Codec { get; set; } = AudioCodecs.Pcm16;
+    public int Channels { get; set; } = 1;
+    public bool Paused { get; set; }
+    // Recent chunks (with headers) when startSecondsBack was requested, oldest first
+    public List<byte[]> Backlog { get; set; } = new();
+    // Event setting: listeners may record locally in the browser
+    public bool AllowRecording { get; set; }
+    // Denied because an organizer banned this account or token (BanListener)
+    public bool IsBanned { get; set; }
+}
+
+// Entry of GetListenerBans
+public class ListenerBanInfo
+{
+    public int Id { get; set; }
+    public string DisplayName { get; set; } = string.Empty;
+    // Account ban; otherwise a stream token ban
+    public bool Account { get; set; }
+    public DateTime CreatedAt { get; set; }
+}
+
+// Result of RegisterBroadcaster (a class so both protocols serialize named fields)
+public class BroadcasterRoleResult
+{
+    public bool Live { get; set; }
+    // A server recording is running for the event
+    public bool Recording { get; set; }
+}
+
+// Broadcasters registered for one event. Lock the registry while reading or changing it.
+public class BroadcasterRegistry
+{
+    public Dictionary<long, BroadcasterInfo> Broadcasters { get; } = new();
+    public long? LiveStreamId { get; set; }
+    // Set when the last broadcaster left and the registry was dropped from EventBroadcasters
+    public bool Removed { get; set; }
+
+    public BroadcasterInfo? Live =>
+        LiveStreamId is long id && Broadcasters.TryGetValue(id, out var info) ? info : null;
+
+    // Only the live connection's chunks count. The stream id in the header is written by
+    // the client, so it only tells stale chunks apart after a handoff.
+    public bool IsLive(byte[] chunk, string connectionId)
+    {
+        lock (this)
+        {
+            if (Live?.ConnectionId != connectionId) return false;
+            return !AudioChunkHeader.TryReadStreamId(chunk, out var streamId) || streamId == LiveStreamId;
+        }
+    }
+}
+
+public class BroadcasterInfo
+{
+    public long StreamId { get; set; }
+    public string ConnectionId { get; set; } = string.Empty;
+    public string Display { get; set; } = string.Empty;
+    public int SampleRate { get; set; }
+    public string Codec { get; set; } = AudioCodecs.Pcm16;
+    public int Channels { get; set; } = 1;
+}
+
+// Listener health as reported by ReportListenerStats
+public class ListenerStats
+{
+    public int LatencyMs { get; set; }
+    public int JitterMs { get; set; }
+    public int ChunksReceived { get; set; }
+    public int ChunksLost { get; set; }
+    public int ChunksDropped { get; set; }
+    public int Underruns { get; set; }
+    public DateTime ReportedAt { get; set; }
+}
+
+// Recently relayed chunks of one event, dropped once older than maxAge.
+// Shared by all hub instances, hence the lock.
+public class RecentChunkBuffer
+{
+    private readonly Queue<(DateTime ReceivedAt, byte[] Chunk)> _chunks = new();
+    private readonly TimeSpan _maxAge;
+
+    public RecentChunkBuffer(TimeSpan maxAge)
+    {
+        _maxAge = maxAge;
+    }
+
+    public void Add(byte[] chunk)
+    {
+        var now = DateTime.UtcNow;
+        lock (_chunks)
+        {
+            _chunks.Enqueue((now, chunk));
+            while (now - _chunks.Peek().ReceivedAt > _maxAge)
+            {
+                _chunks.Dequeue();
+            }
+        }
+    }
+
+    // Chunks received within the last `seconds`, oldest first
+    public List<byte[]> Since(int seconds)
+    {
+        var cutoff = DateTime.UtcNow.AddSeconds(-seconds);
+        lock (_chunks)
+        {
+            return _chunks.Where(c => c.ReceivedAt >= cutoff).Select(c => c.Chunk).ToList();
+        }
+    }
+}
+
+// Codec identifiers shared with audioStream.js
+public static class AudioCodecs
+{
+    public const string Pcm16 = "pcm16";
+    public const string Opus = "opus";
+
+    public static string Normalize(string? codec) =>
+        string.Equals(codec, Opus, StringComparison.OrdinalIgnoreCase) ? Opus : Pcm16;
+}
+
+// Audio tracks of an event: the floor ("") plus the interpretation channels listed in
+// Event.AudioTracks ("PL,EN"). Each track has its own broadcasters, listeners and recording.
+public static class AudioTracks
+{
+    public const string Floor = "";
+    public const string FloorLabel = "Floor";
+    public const int MaxNameLength = 64;
+
+    // Interpretation channels configured for an event, without the floor
+    public static List<string> Parse(string? configured) =>
+        (configured ?? string.Empty)
+            .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Where(t => t.Length <= MaxNameLength && !string.Equals(t, FloorLabel, StringComparison.OrdinalIgnoreCase))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+    public static string Normalize(string? track) => track?.Trim() ?? Floor;
+
+    // Configured spelling of a requested track; null if the event has no such track
+    public static string? Find(string? configured, string? track)
+    {
+        track = Normalize(track);
+        if (track.Length == 0) return Floor;
+        return Parse(configured).FirstOrDefault(t => string.Equals(t, track, StringComparison.OrdinalIgnoreCase));
+    }
+
+    public static string Label(string? track) => string.IsNullOrEmpty(track) ? FloorLabel : track;
+
+    // File name part for a track's recordings ("" for the floor, "-en" for "EN")
+    public static string FileSuffix(string track)
+    {
+        var safe = new string(track.ToLowerInvariant().Select(c => char.IsLetterOrDigit(c) ? c : '_').ToArray());
+        return safe.Length == 0 ? string.Empty : $"-{safe}";
+    }
+}
+
+// Raised-hand state of a listener as sent to managers (ListenerHandChanged, ListenersSnapshot)
+public static class ListenerHandStates
+{
+    public const string None = "none";
+    public const string Raised = "raised";
+    public const string Speaking = "speaking";
+}
+
+public readonly record struct AudioTrackKey(int EventId, string Track)
+{
+    public override string ToString() =>
+        Track.Length == 0 ? $"event {EventId}" : $"event {EventId} track '{Track}'";
+}
+
+// Header prepended to every chunk by audioStream.js (little-endian, 24 bytes):
+// [0] magic 'K' [1] version [2] header length [3] channel count
+// [4] u32 stream id [8] u32 sequence [12] f64 capture time (epoch ms) [20] u32 sample rate
+// The hub relays chunks untouched; only the recording needs the bare payload.
+public static class AudioChunkHeader
+{
+    public const byte Magic = 0x4B;
+    public const byte Version = 1;
+    public const int Length = 24;
+
+    public static bool HasHeader(byte[] chunk) =>
+        chunk.Length >= Length && chunk[0] == Magic && chunk[1] == Version && chunk[2] == Length;
+
+    // Stream id of the broadcaster that sent a chunk; false for chunks without a header
+    public static bool TryReadStreamId(byte[] chunk, out long streamId)
+    {
+        streamId = HasHeader(chunk) ? BitConverter.ToUInt32(chunk, 4) : 0;
+        return HasHeader(chunk);
+    }
+
+    // Broadcaster capture time (epoch ms) of a chunk; false for chunks without a header
+    public static bool TryReadCaptureTimeMs(byte[] chunk, out double captureTimeMs)
+    {
+        captureTimeMs = HasHeader(chunk) ? BitConverter.ToDouble(chunk, 12) : 0;
+        return HasHeader(chunk);
+    }
+
+    // Returns the audio payload; chunks from older clients (no header) are returned as-is
+    public static byte[] StripHeader(byte[] chunk)
+    {
+        if (!HasHeader(chunk)) return chunk;
+        var payload = new byte[chunk.Length - Length];
+        Buffer.BlockCopy(chunk, Length, payload, 0, payload.Length);
+        return payload;
+    }
+}
+
+// Minimal WAV writer for PCM16 (mono or interleaved stereo)
+// Opus streams are decoded back to PCM16 so the recording stays a plain WAV file
 public class RecordingWriter
 {
+    // Opus decoder output rate (Opus always operates internally at 48kHz)
+    public const int OpusDecodeSampleRate = 48000;
+    // Largest Opus frame is 120ms
+    private const int MaxOpusFrameSamples = OpusDecodeSampleRate * 120 / 1000;
+
     public string FilePath { get; }
     private readonly FileStream _stream;
     private readonly int _sampleRate;
     private readonly short _channels;
+    private readonly OpusDecoder? _opusDecoder;
+    private readonly short[] _opusPcm = Array.Empty<short>();
     private long _dataLength = 0;
     private bool _completed = false;
     private readonly DateTime _startTime;
+    // Capture time -> file position anchors; a new one is added only where the two drift apart
+    // (chunks lost in transit, broadcaster breaks)
+    private readonly List<(double CaptureMs, double FileSeconds)> _timeline = new();
+    private const double TimelineToleranceMs = 100;
+    private readonly List<CaptionSegment> _captions = new();
 
     public int DurationSeconds => (int)(_dataLength / (_sampleRate * _channels * 2));
 
-    public RecordingWriter(string path, int sampleRate, short channels)
+    // Captions are written next to the WAV file with the same name
+    public string CaptionFilePath => Path.ChangeExtension(FilePath, ".vtt");
+
+    public RecordingWriter(string path, int sampleRate, short channels, string codec = AudioCodecs.Pcm16)
     {
         FilePath = path;
         _sampleRate = sampleRate;
         _channels = channels;
         _startTime = DateTime.UtcNow;
+        if (codec == AudioCodecs.Opus)
+        {
+            _opusDecoder = new OpusDecoder(OpusDecodeSampleRate, channels);
+            _opusPcm = new short[MaxOpusFrameSamples * channels];
+        }
         _stream = new FileStream(path, FileMode.Create, FileAccess.Write, FileShare.Read);
         WriteHeaderPlaceholder();
     }
 
+    // Append a chunk as received from the broadcaster, decoding it first if the stream is Opus
+    public void AppendChunk(byte[] chunk)
+    {
+        if (_opusDecoder == null)
+        {
+            AppendPcm16(chunk);
+            return;
+        }
+        try
+        {
+            int samplesPerChannel = _opusDecoder.Decode(chunk, 0, chunk.Length, _opusPcm, 0, MaxOpusFrameSamples, false);
+            var pcm16 = new byte[samplesPerChannel * _channels * 2];
+            Buffer.BlockCopy(_opusPcm, 0, pcm16, 0, pcm16.Length);
+            AppendPcm16(pcm16);
+        }
+        catch (Exception ex)
+        {
+            // A corrupt packet should not end the recording
+            Console.WriteLine($"Error decoding Opus packet for recording: {ex.Message}");
+        }
+    }
+
+    // Note the capture time of the chunk about to be appended
+    public void MarkCaptureTime(double captureMs)
+    {
+        var fileSeconds = (double)_dataLength / (_sampleRate * _channels * 2);
+        lock (_timeline)
+        {
+            if (_timeline.Count > 0)
+            {
+                var last = _timeline[^1];
+                var expectedMs = last.CaptureMs + (fileSeconds - last.FileSeconds) * 1000;
+                if (Math.Abs(captureMs - expectedMs) < TimelineToleranceMs) return;
+            }
+            _timeline.Add((captureMs, fileSeconds));
+        }
+    }
+
+    public void AppendCaption(CaptionSegment caption)
+    {
+        lock (_captions)
+        {
+            if (!_completed) _captions.Add(caption);
+        }
+    }
+
+    // Position in the file (seconds) of a capture time
+    private double ToFileSeconds(double captureMs)
+    {
+        lock (_timeline)
+        {
+            if (_timeline.Count == 0) return 0;
+            var anchor = _timeline[0];
+            foreach (var candidate in _timeline)
+            {
+                if (candidate.CaptureMs > captureMs) break;
+                anchor = candidate;
+            }
+            return Math.Max(0, anchor.FileSeconds + (captureMs - anchor.CaptureMs) / 1000);
+        }
+    }
+
     public void AppendPcm16(byte[] pcm16)
     {
         if (_completed) return;
@@ -468,9 +1517,37 @@ public class RecordingWriter
         {
             _stream.Dispose();
         }
+        WriteCaptions();
         return Task.CompletedTask;
     }
 
+    private void WriteCaptions()
+    {
+        List<WebVttCue> cues;
+        lock (_captions)
+        {
+            cues = _captions
+                .OrderBy(c => c.StartMs)
+                .Select(c => new WebVttCue
+                {
+                    Start = TimeSpan.FromSeconds(ToFileSeconds(c.StartMs)),
+                    End = TimeSpan.FromSeconds(ToFileSeconds(c.EndMs)),
+                    Text = c.Text
+                })
+                .ToList();
+        }
+        if (cues.Count == 0) return;
+        try
+        {
+            File.WriteAllText(CaptionFilePath, WebVtt.Format(cues));
+            Console.WriteLine($"Captions saved: {CaptionFilePath} ({cues.Count} cues)");
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error writing captions file: {ex.Message}");
+        }
+    }
+
     private void WriteHeaderPlaceholder() => WriteHeader(0);
 
     private void WriteHeader(long dataLength)
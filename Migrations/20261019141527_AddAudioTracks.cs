@@ -0,0 +1,40 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Konfucjusz.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAudioTracks : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "audio_tracks",
+                table: "events",
+                type: "character varying(200)",
+                maxLength: 200,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "audio_track",
+                table: "event_recordings",
+                type: "character varying(64)",
+                maxLength: 64,
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "audio_tracks",
+                table: "events");
+
+            migrationBuilder.DropColumn(
+                name: "audio_track",
+                table: "event_recordings");
+        }
+    }
+}
@@ -34,10 +34,19 @@ namespace Konfucjusz.Migrations
                         .HasColumnType("boolean")
                         .HasColumnName("allow_anonymous_streaming");
 
+                    b.Property<bool>("AllowListenerRecording")
+                        .HasColumnType("boolean")
+                        .HasColumnName("allow_listener_recording");
+
                     b.Property<bool>("AllowedAnonymousEnlisting")
                         .HasColumnType("boolean")
                         .HasColumnName("allowed_anonymous_enlisting");
 
+                    b.Property<string>("AudioTracks")
+                        .HasMaxLength(200)
+                        .HasColumnType("character varying(200)")
+                        .HasColumnName("audio_tracks");
+
                     b.Property<string>("ConsentText")
                         .HasMaxLength(4000)
                         .HasColumnType("character varying(4000)")
@@ -104,6 +113,47 @@ namespace Konfucjusz.Migrations
                     b.ToTable("events");
                 });
 
+            modelBuilder.Entity("EventListenerBan", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer")
+                        .HasColumnName("id");
+
+                    NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
+
+                    b.Property<DateTime>("CreatedAt")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("timestamp with time zone")
+                        .HasColumnName("created_at")
+                        .HasDefaultValueSql("now()");
+
+                    b.Property<string>("DisplayName")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("character varying(100)")
+                        .HasColumnName("display_name");
+
+                    b.Property<int>("EventId")
+                        .HasColumnType("integer")
+                        .HasColumnName("event_id");
+
+                    b.Property<string>("TokenHash")
+                        .HasMaxLength(64)
+                        .HasColumnType("character varying(64)")
+                        .HasColumnName("token_hash");
+
+                    b.Property<int?>("UserId")
+                        .HasColumnType("integer")
+                        .HasColumnName("user_id");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("EventId");
+
+                    b.ToTable("event_listener_bans");
+                });
+
             modelBuilder.Entity("EventOrganizer", b =>
                 {
                     b.Property<int>("Id")
@@ -235,6 +285,11 @@ namespace Konfucjusz.Migrations
 
                     NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
 
+                    b.Property<string>("AudioTrack")
+                        .HasMaxLength(64)
+                        .HasColumnType("character varying(64)")
+                        .HasColumnName("audio_track");
+
                     b.Property<bool>("Completed")
                         .HasColumnType("boolean")
                         .HasColumnName("completed");
@@ -324,6 +379,15 @@ namespace Konfucjusz.Migrations
                     b.ToTable("user_account");
                 });
 
+            modelBuilder.Entity("EventListenerBan", b =>
+                {
+                    b.HasOne("Event", null)
+                        .WithMany()
+                        .HasForeignKey("EventId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+                });
+
             modelBuilder.Entity("EventOrganizer", b =>
                 {
                     b.HasOne("Event", "Event")
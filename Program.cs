@@ -44,6 +44,20 @@ builder.Services.AddScoped<ParticipantService>(sp =>
 // Bind SMTP settings and register EmailRequest for DI. Put real secrets in user-secrets or environment variables.
 builder.Services.Configure<SmtpOptions>(builder.Configuration.GetSection("Smtp"));
 builder.Services.AddScoped<EmailRequest>();
+builder.Services.AddScoped<RecordingUploadService>();
+
+// Live captions: Captions:Transcriber = "whisper" (OpenAI-compatible transcription endpoint, e.g. a local
+// Whisper server) or "stub" (fixed text, for tests). Anything else: only captions sent via SubmitCaption.
+var captionTranscriber = builder.Configuration["Captions:Transcriber"];
+if (string.Equals(captionTranscriber, "whisper", StringComparison.OrdinalIgnoreCase))
+{
+    builder.Services.AddSingleton<ICaptionTranscriber, WhisperHttpTranscriber>();
+}
+else if (string.Equals(captionTranscriber, "stub", StringComparison.OrdinalIgnoreCase))
+{
+    builder.Services.AddSingleton<ICaptionTranscriber, StubCaptionTranscriber>();
+}
+builder.Services.AddSingleton<LiveCaptionService>();
 
 // Conditional hCaptcha registration - allows app to run without captcha keys for dev/test
 var hCaptchaSiteKey = builder.Configuration["Captcha:hCaptcha:SiteKey"];
@@ -84,7 +98,9 @@ builder.Services.AddCascadingAuthenticationState();
 builder.Services.AddSignalR(options =>
 {
     options.MaximumReceiveMessageSize = 1024 * 1024; // 1MB (audio chunks can be large)
-});
+})
+    // Binary protocol so audio byte[] is not Base64-encoded; JSON stays enabled for older clients
+    .AddMessagePackProtocol();
 
 var app = builder.Build();
 
@@ -109,6 +125,54 @@ app.MapRazorComponents<App>()
 // SignalR hubs
 app.MapHub<AudioStreamHub>("/hubs/audio");
 
+// Resumable upload of broadcaster backup recordings (konfAudio.uploadBackupRecording).
+// Permission is checked per request instead of RequireAuthorization, whose login redirect
+// would look like a successful response to fetch().
+var recordingUploads = app.MapGroup("/api/recordings/uploads");
+recordingUploads.MapPost("", async (CreateRecordingUploadRequest request, HttpContext http, RecordingUploadService uploads, EventService events) =>
+{
+    if (!await events.CanUserManageEventAsync(http.User, request.EventId)) return Results.StatusCode(StatusCodes.Status403Forbidden);
+    var (upload, error) = await uploads.CreateAsync(request.EventId, request.TotalBytes, request.ReplaceRecordingId, request.Track);
+    return upload == null
+        ? Results.BadRequest(error)
+        : Results.Ok(new { uploadId = upload.UploadId, receivedBytes = 0L, maxChunkBytes = RecordingUploadService.MaxChunkBytes });
+});
+recordingUploads.MapGet("/{uploadId}", async (string uploadId, HttpContext http, RecordingUploadService uploads, EventService events) =>
+{
+    var upload = await uploads.GetAsync(uploadId);
+    if (upload == null) return Results.NotFound();
+    if (!await events.CanUserManageEventAsync(http.User, upload.EventId)) return Results.StatusCode(StatusCodes.Status403Forbidden);
+    return Results.Ok(new { uploadId, receivedBytes = upload.ReceivedBytes, totalBytes = upload.TotalBytes, maxChunkBytes = RecordingUploadService.MaxChunkBytes });
+});
+// Body is the raw chunk; a 409 carries the server's receivedBytes to continue from
+recordingUploads.MapPut("/{uploadId}", async (string uploadId, long offset, HttpContext http, RecordingUploadService uploads, EventService events) =>
+{
+    var upload = await uploads.GetAsync(uploadId);
+    if (upload == null) return Results.NotFound();
+    if (!await events.CanUserManageEventAsync(http.User, upload.EventId)) return Results.StatusCode(StatusCodes.Status403Forbidden);
+    var (accepted, receivedBytes, error) = await uploads.AppendAsync(upload, offset, http.Request.Body);
+    if (error != null) return Results.BadRequest(error);
+    return accepted ? Results.Ok(new { receivedBytes }) : Results.Conflict(new { receivedBytes });
+});
+recordingUploads.MapPost("/{uploadId}/complete", async (string uploadId, HttpContext http, RecordingUploadService uploads, EventService events) =>
+{
+    var upload = await uploads.GetAsync(uploadId);
+    if (upload == null) return Results.NotFound();
+    if (!await events.CanUserManageEventAsync(http.User, upload.EventId)) return Results.StatusCode(StatusCodes.Status403Forbidden);
+    var (recording, error) = await uploads.CompleteAsync(upload);
+    return recording == null
+        ? Results.BadRequest(error)
+        : Results.Ok(new { recordingId = recording.Id, fileName = recording.FileName, durationSeconds = recording.DurationSeconds });
+});
+recordingUploads.MapDelete("/{uploadId}", async (string uploadId, HttpContext http, RecordingUploadService uploads, EventService events) =>
+{
+    var upload = await uploads.GetAsync(uploadId);
+    if (upload == null) return Results.NotFound();
+    if (!await events.CanUserManageEventAsync(http.User, upload.EventId)) return Results.StatusCode(StatusCodes.Status403Forbidden);
+    await uploads.CancelAsync(upload);
+    return Results.NoContent();
+});
+
 // Apply EF migrations and seed initial data on startup (helpful for onboarding).
 using (var scope = app.Services.CreateScope())
 {
@@ -18,6 +18,7 @@ public class ApplicationDbContext: DbContext
     public DbSet<EventOrganizer> eventOrganizers { get; set; }
     public DbSet<EventParticipant> eventParticipants { get; set; }
     public DbSet<EventRecording> eventRecordings { get; set; }
+    public DbSet<EventListenerBan> eventListenerBans { get; set; }
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -131,5 +132,20 @@ public class ApplicationDbContext: DbContext
 
             eb.HasIndex(r => new { r.EventId, r.CreatedAt });
         });
+
+        modelBuilder.Entity<EventListenerBan>(eb =>
+        {
+            eb.Property(b => b.CreatedAt)
+                .HasColumnName("created_at")
+                .HasDefaultValueSql("now()")
+                .ValueGeneratedOnAdd();
+
+            eb.HasOne<Event>()
+                .WithMany()
+                .HasForeignKey(b => b.EventId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            eb.HasIndex(b => b.EventId);
+        });
     }
 }
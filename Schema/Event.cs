@@ -33,6 +33,16 @@ public class Event
     [Column("allow_anonymous_streaming")]
     public bool AllowAnonymousStreaming { get; set; }
 
+    // Listeners may record the stream in their own browser (konfAudio local recording)
+    [Column("allow_listener_recording")]
+    public bool AllowListenerRecording { get; set; } = true;
+
+    // Interpretation channels next to the floor audio, comma-separated (e.g. "PL,EN").
+    // Each is a separate audio track with its own broadcaster and recording, see AudioTracks
+    [Column("audio_tracks")]
+    [MaxLength(200)]
+    public string? AudioTracks { get; set; }
+
     [Column("searchable")]
     public bool Searchable { get; set; }
 
@@ -0,0 +1,30 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+// Listener banned from an event's stream by an organizer: by account, or by stream token for guests
+[Table("event_listener_bans")]
+public class EventListenerBan
+{
+    [Column("id")]
+    public int Id { get; set; }
+
+    [Column("event_id")]
+    public int EventId { get; set; }
+
+    [Column("user_id")]
+    public int? UserId { get; set; }
+
+    // SHA-256 (hex) of the stream token the listener joined with; tokens are not stored
+    [Column("token_hash")]
+    [MaxLength(64)]
+    public string? TokenHash { get; set; }
+
+    // Name shown to organizers when the ban was made
+    [Column("display_name")]
+    [MaxLength(100)]
+    public string DisplayName { get; set; } = string.Empty;
+
+    [Column("created_at")]
+    public DateTime CreatedAt { get; set; }
+}
@@ -1,4 +1,5 @@
 using System;
+using System.ComponentModel.DataAnnotations;
 using System.ComponentModel.DataAnnotations.Schema;
 
 [Table("event_recordings")]
@@ -22,6 +23,11 @@ public class EventRecording
     [Column("updated_at")]
     public DateTime UpdatedAt { get; set; }
 
+    // Interpretation channel the recording is of; null for the floor audio
+    [Column("audio_track")]
+    [MaxLength(64)]
+    public string? AudioTrack { get; set; }
+
     [Column("completed")]
     public bool Completed { get; set; }
 }
@@ -1,3 +1,4 @@
+using System.Security.Claims;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 
@@ -34,6 +35,36 @@ public class EventService
             .AnyAsync(eo => eo.UserId == userId && eo.EventId == eventId);
     }
 
+    /// <summary>
+    /// Check if a signed-in user can manage a specific event, looking the account up by its
+    /// email claim. Shared by the broadcast page, the audio hub and the recording uploads.
+    /// Note: In our authentication system, the email is stored in the Name claim.
+    /// </summary>
+    public async Task<bool> CanUserManageEventAsync(ClaimsPrincipal? user, int eventId)
+    {
+        if (user?.Identity?.IsAuthenticated != true) return false;
+        if (user.IsInRole("Administrator")) return true;
+
+        var emailClaim = user.FindFirst(ClaimTypes.Email)
+                      ?? user.FindFirst("email")
+                      ?? user.FindFirst("preferred_username")
+                      ?? user.FindFirst(ClaimTypes.Name);
+        if (emailClaim == null)
+        {
+            _logger.LogWarning("No email claim found for user {Name}", user.Identity.Name);
+            return false;
+        }
+
+        var account = await _db.users.FirstOrDefaultAsync(u => u.userEmail == emailClaim.Value);
+        if (account == null)
+        {
+            _logger.LogWarning("No user found in database with email: {Email}", emailClaim.Value);
+            return false;
+        }
+        return await _db.eventOrganizers
+            .AnyAsync(eo => eo.UserId == account.Id && eo.EventId == eventId);
+    }
+
     /// <summary>
     /// Get all events a user can manage (admins see all, organizers see only their assigned events).
     /// </summary>
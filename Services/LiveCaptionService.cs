@@ -0,0 +1,359 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Text;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Channels;
+using System.Threading.Tasks;
+using Concentus.Structs;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Configuration;
+
+/// <summary>
+/// A caption. Times are broadcaster capture times (epoch ms, the clock in the chunk header),
+/// so listeners can line captions up with the audio they are playing.
+/// </summary>
+public class CaptionSegment
+{
+    public double StartMs { get; set; }
+    public double EndMs { get; set; }
+    public string Text { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Speech-to-text engine behind live captions, selected with Captions:Transcriber in Program.cs.
+/// </summary>
+public interface ICaptionTranscriber
+{
+    /// <summary>
+    /// Transcribe one window of mono PCM16 audio. Segment times are relative to the
+    /// start of the window (ms); LiveCaptionService shifts them to capture time.
+    /// </summary>
+    Task<IReadOnlyList<CaptionSegment>> TranscribeAsync(byte[] pcm16, int sampleRate, CancellationToken cancellationToken);
+}
+
+/// <summary>
+/// Transcriber for tests and development: every window with speech gets one caption
+/// with fixed text (Captions:StubText).
+/// </summary>
+public class StubCaptionTranscriber : ICaptionTranscriber
+{
+    private readonly string _text;
+
+    public StubCaptionTranscriber(IConfiguration configuration)
+    {
+        _text = configuration["Captions:StubText"] ?? "[speech]";
+    }
+
+    public Task<IReadOnlyList<CaptionSegment>> TranscribeAsync(byte[] pcm16, int sampleRate, CancellationToken cancellationToken)
+    {
+        var durationMs = pcm16.Length / 2 * 1000.0 / sampleRate;
+        IReadOnlyList<CaptionSegment> segments = new[] { new CaptionSegment { StartMs = 0, EndMs = durationMs, Text = _text } };
+        return Task.FromResult(segments);
+    }
+}
+
+/// <summary>
+/// Transcribes through an OpenAI-compatible /v1/audio/transcriptions endpoint (Captions:Endpoint),
+/// which local Whisper servers such as faster-whisper-server, whisper.cpp and LocalAI provide.
+/// </summary>
+public class WhisperHttpTranscriber : ICaptionTranscriber
+{
+    private readonly IHttpClientFactory _httpClientFactory;
+    private readonly string _endpoint;
+    private readonly string _model;
+    private readonly string? _language;
+    private readonly string? _apiKey;
+
+    public WhisperHttpTranscriber(IHttpClientFactory httpClientFactory, IConfiguration configuration)
+    {
+        _httpClientFactory = httpClientFactory;
+        _endpoint = configuration["Captions:Endpoint"] ?? "";
+        if (string.IsNullOrEmpty(_endpoint))
+            throw new InvalidOperationException("Captions:Endpoint must be set for the whisper transcriber");
+        _model = configuration["Captions:Model"] ?? "whisper-1";
+        _language = configuration["Captions:Language"];
+        _apiKey = configuration["Captions:ApiKey"];
+    }
+
+    public async Task<IReadOnlyList<CaptionSegment>> TranscribeAsync(byte[] pcm16, int sampleRate, CancellationToken cancellationToken)
+    {
+        using var form = new MultipartFormDataContent();
+        var file = new ByteArrayContent(BuildWav(pcm16, sampleRate));
+        file.Headers.ContentType = new MediaTypeHeaderValue("audio/wav");
+        form.Add(file, "file", "captions.wav");
+        form.Add(new StringContent(_model), "model");
+        form.Add(new StringContent("verbose_json"), "response_format");
+        if (!string.IsNullOrEmpty(_language)) form.Add(new StringContent(_language), "language");
+
+        using var request = new HttpRequestMessage(HttpMethod.Post, _endpoint) { Content = form };
+        if (!string.IsNullOrEmpty(_apiKey)) request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", _apiKey);
+        using var response = await _httpClientFactory.CreateClient().SendAsync(request, cancellationToken);
+        response.EnsureSuccessStatusCode();
+
+        using var json = await JsonDocument.ParseAsync(await response.Content.ReadAsStreamAsync(cancellationToken), cancellationToken: cancellationToken);
+        var segments = new List<CaptionSegment>();
+        if (json.RootElement.TryGetProperty("segments", out var list) && list.ValueKind == JsonValueKind.Array)
+        {
+            foreach (var segment in list.EnumerateArray())
+            {
+                var text = segment.GetProperty("text").GetString()?.Trim();
+                if (string.IsNullOrEmpty(text)) continue;
+                segments.Add(new CaptionSegment
+                {
+                    StartMs = segment.GetProperty("start").GetDouble() * 1000,
+                    EndMs = segment.GetProperty("end").GetDouble() * 1000,
+                    Text = text
+                });
+            }
+        }
+        else if (json.RootElement.TryGetProperty("text", out var whole) && !string.IsNullOrWhiteSpace(whole.GetString()))
+        {
+            // Servers without segment output: one caption for the whole window
+            segments.Add(new CaptionSegment { StartMs = 0, EndMs = pcm16.Length / 2 * 1000.0 / sampleRate, Text = whole.GetString()!.Trim() });
+        }
+        return segments;
+    }
+
+    private static byte[] BuildWav(byte[] pcm16, int sampleRate)
+    {
+        using var stream = new MemoryStream(44 + pcm16.Length);
+        using var writer = new BinaryWriter(stream, Encoding.ASCII);
+        writer.Write(Encoding.ASCII.GetBytes("RIFF"));
+        writer.Write(36 + pcm16.Length);
+        writer.Write(Encoding.ASCII.GetBytes("WAVE"));
+        writer.Write(Encoding.ASCII.GetBytes("fmt "));
+        writer.Write(16);
+        writer.Write((short)1); // PCM
+        writer.Write((short)1); // mono
+        writer.Write(sampleRate);
+        writer.Write(sampleRate * 2);
+        writer.Write((short)2);
+        writer.Write((short)16);
+        writer.Write(Encoding.ASCII.GetBytes("data"));
+        writer.Write(pcm16.Length);
+        writer.Write(pcm16);
+        writer.Flush();
+        return stream.ToArray();
+    }
+}
+
+/// <summary>
+/// Live captions from the configured ICaptionTranscriber. The hub feeds every relayed chunk;
+/// audio is decoded, mixed to mono and cut into windows of Captions:WindowSeconds, which are
+/// transcribed one at a time per audio track in the background and published with
+/// AudioStreamHub.PublishCaptionAsync. Does nothing when no transcriber is registered.
+/// </summary>
+public class LiveCaptionService
+{
+    // Windows waiting for a slow transcriber; the oldest is dropped beyond this
+    private const int MaxQueuedWindows = 3;
+    // Windows quieter than this are not sent (Whisper tends to invent text for silence)
+    private const double SilenceRms = 0.01 * 32768;
+    // A capture-time jump this large (break, lost chunks) closes the current window
+    private const double MaxGapMs = 1000;
+    private static readonly TimeSpan TranscribeTimeout = TimeSpan.FromSeconds(60);
+
+    private readonly ICaptionTranscriber? _transcriber;
+    private readonly IHubContext<AudioStreamHub> _hubContext;
+    private readonly int _windowSeconds;
+    private readonly ConcurrentDictionary<AudioTrackKey, CaptionPipeline> _pipelines = new();
+
+    public LiveCaptionService(IHubContext<AudioStreamHub> hubContext, IConfiguration configuration, IEnumerable<ICaptionTranscriber> transcribers)
+    {
+        _hubContext = hubContext;
+        _transcriber = transcribers.FirstOrDefault();
+        _windowSeconds = Math.Clamp(configuration.GetValue("Captions:WindowSeconds", 5), 1, 30);
+        Console.WriteLine(_transcriber == null
+            ? "[LiveCaptions] No transcriber configured - only submitted captions are relayed"
+            : $"[LiveCaptions] Using {_transcriber.GetType().Name}, {_windowSeconds}s windows");
+    }
+
+    public bool Enabled => _transcriber != null;
+
+    /// <summary>
+    /// Add a relayed chunk (with header) to the audio track's current window.
+    /// </summary>
+    public void Feed(AudioTrackKey key, byte[] chunk, string codec, int sampleRate, int channels)
+    {
+        if (_transcriber == null) return;
+        var pipeline = _pipelines.GetOrAdd(key, k => StartPipeline(k, codec, sampleRate, channels));
+        try
+        {
+            pipeline.Append(chunk, _windowSeconds);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"[LiveCaptions] Could not buffer chunk for {key}: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// End the track's pipeline (stream ended or changed format). Buffered audio is still
+    /// transcribed; the next chunk starts a new pipeline.
+    /// </summary>
+    public void Reset(AudioTrackKey key)
+    {
+        if (_pipelines.TryRemove(key, out var pipeline))
+        {
+            pipeline.Complete();
+        }
+    }
+
+    private CaptionPipeline StartPipeline(AudioTrackKey key, string codec, int sampleRate, int channels)
+    {
+        var pipeline = new CaptionPipeline(key, codec, sampleRate, channels);
+        _ = Task.Run(() => TranscribeWindowsAsync(pipeline));
+        Console.WriteLine($"[LiveCaptions] Captioning {key} ({codec}, {sampleRate}Hz, {channels}ch)");
+        return pipeline;
+    }
+
+    private async Task TranscribeWindowsAsync(CaptionPipeline pipeline)
+    {
+        await foreach (var window in pipeline.Windows.Reader.ReadAllAsync())
+        {
+            if (ComputeRms(window.Pcm16) < SilenceRms) continue;
+            try
+            {
+                using var timeout = new CancellationTokenSource(TranscribeTimeout);
+                var segments = await _transcriber!.TranscribeAsync(window.Pcm16, window.SampleRate, timeout.Token);
+                foreach (var segment in segments.Where(s => !string.IsNullOrWhiteSpace(s.Text)))
+                {
+                    var caption = new CaptionSegment
+                    {
+                        StartMs = window.StartMs + segment.StartMs,
+                        EndMs = window.StartMs + Math.Max(segment.StartMs, segment.EndMs),
+                        Text = segment.Text.Trim()
+                    };
+                    await AudioStreamHub.PublishCaptionAsync(_hubContext.Clients, pipeline.Key, caption);
+                }
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[LiveCaptions] Transcription failed for {pipeline.Key}: {ex.Message}");
+            }
+        }
+        Console.WriteLine($"[LiveCaptions] Stopped captioning {pipeline.Key}");
+    }
+
+    private static double ComputeRms(byte[] pcm16)
+    {
+        var samples = pcm16.Length / 2;
+        if (samples == 0) return 0;
+        double sumSquares = 0;
+        for (int i = 0; i < samples; i++)
+        {
+            double s = BitConverter.ToInt16(pcm16, i * 2);
+            sumSquares += s * s;
+        }
+        return Math.Sqrt(sumSquares / samples);
+    }
+
+    // Mono PCM16 audio starting at StartMs (capture time)
+    private record CaptionWindow(byte[] Pcm16, int SampleRate, double StartMs);
+
+    // Decoding and windowing state of one audio track
+    private class CaptionPipeline
+    {
+        private const int MaxOpusFrameSamples = RecordingWriter.OpusDecodeSampleRate * 120 / 1000;
+
+        public AudioTrackKey Key { get; }
+        public Channel<CaptionWindow> Windows { get; } = Channel.CreateBounded<CaptionWindow>(
+            new BoundedChannelOptions(MaxQueuedWindows) { FullMode = BoundedChannelFullMode.DropOldest, SingleReader = true });
+
+        private readonly int _sampleRate;
+        private readonly int _channels;
+        private readonly OpusDecoder? _opusDecoder;
+        private readonly short[] _opusPcm = Array.Empty<short>();
+        private readonly MemoryStream _buffer = new();
+        private double _startMs;
+
+        public CaptionPipeline(AudioTrackKey key, string codec, int sampleRate, int channels)
+        {
+            Key = key;
+            _channels = Math.Clamp(channels, 1, 2);
+            if (codec == AudioCodecs.Opus)
+            {
+                _sampleRate = RecordingWriter.OpusDecodeSampleRate;
+                _opusDecoder = new OpusDecoder(_sampleRate, _channels);
+                _opusPcm = new short[MaxOpusFrameSamples * _channels];
+            }
+            else
+            {
+                _sampleRate = sampleRate;
+            }
+        }
+
+        public void Append(byte[] chunk, int windowSeconds)
+        {
+            var captureMs = AudioChunkHeader.TryReadCaptureTimeMs(chunk, out var headerMs)
+                ? headerMs
+                : DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            lock (_buffer)
+            {
+                // Inside the lock: the Opus decoder and its output buffer are stateful
+                var mono = Decode(AudioChunkHeader.StripHeader(chunk));
+                var expectedMs = _startMs + _buffer.Length / 2 * 1000.0 / _sampleRate;
+                if (_buffer.Length > 0 && Math.Abs(captureMs - expectedMs) > MaxGapMs)
+                {
+                    TakeWindow();
+                }
+                if (_buffer.Length == 0) _startMs = captureMs;
+                _buffer.Write(mono);
+                if (_buffer.Length >= (long)windowSeconds * _sampleRate * 2)
+                {
+                    TakeWindow();
+                }
+            }
+        }
+
+        public void Complete()
+        {
+            lock (_buffer)
+            {
+                TakeWindow();
+            }
+            Windows.Writer.TryComplete();
+        }
+
+        private void TakeWindow()
+        {
+            if (_buffer.Length == 0) return;
+            Windows.Writer.TryWrite(new CaptionWindow(_buffer.ToArray(), _sampleRate, _startMs));
+            _buffer.SetLength(0);
+        }
+
+        // Interleaved PCM16 or an Opus packet -> mono PCM16
+        private byte[] Decode(byte[] payload)
+        {
+            short[] samples;
+            int frames;
+            if (_opusDecoder != null)
+            {
+                frames = _opusDecoder.Decode(payload, 0, payload.Length, _opusPcm, 0, MaxOpusFrameSamples, false);
+                samples = _opusPcm;
+            }
+            else
+            {
+                samples = new short[payload.Length / 2];
+                Buffer.BlockCopy(payload, 0, samples, 0, samples.Length * 2);
+                frames = samples.Length / _channels;
+            }
+            var mono = new byte[frames * 2];
+            for (int f = 0; f < frames; f++)
+            {
+                int sum = 0;
+                for (int c = 0; c < _channels; c++) sum += samples[f * _channels + c];
+                var value = (short)(sum / _channels);
+                mono[f * 2] = (byte)value;
+                mono[f * 2 + 1] = (byte)(value >> 8);
+            }
+            return mono;
+        }
+    }
+}
@@ -0,0 +1,263 @@
+using System;
+using System.Collections.Concurrent;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+
+/// <summary>
+/// Resumable chunked upload of broadcaster backup recordings (WAV files kept in the
+/// broadcaster's browser). Partial uploads live outside wwwroot until complete, then the
+/// file is moved next to the server recordings and added as, or swapped into, an EventRecording.
+/// State is on disk (.part + .json), so an upload can resume after a server restart.
+/// </summary>
+public class RecordingUploadService
+{
+    public const int MaxChunkBytes = 8 * 1024 * 1024;
+    private const int WavHeaderBytes = 44;
+
+    private static readonly ConcurrentDictionary<string, SemaphoreSlim> UploadLocks = new();
+
+    private readonly ApplicationDbContext _db;
+    private readonly string _uploadPath;
+    private readonly string _recordingsPath = Path.Combine("wwwroot", "recordings");
+    private readonly long _maxUploadBytes;
+
+    public RecordingUploadService(ApplicationDbContext db, IConfiguration configuration)
+    {
+        _db = db;
+        _uploadPath = configuration["Streaming:BackupUploadPath"] ?? "recording-uploads";
+        _maxUploadBytes = configuration.GetValue("Streaming:BackupUploadMaxMegabytes", 2048) * 1024L * 1024L;
+    }
+
+    /// <summary>
+    /// Start an upload. replaceRecordingId, if set, must be a recording of the same event;
+    /// it is swapped for the uploaded file on completion. track is the audio track the
+    /// broadcaster was on ("" or null for the floor).
+    /// </summary>
+    public async Task<(RecordingUpload? upload, string? error)> CreateAsync(int eventId, long totalBytes, int? replaceRecordingId, string? track = null)
+    {
+        if (totalBytes <= WavHeaderBytes || totalBytes > _maxUploadBytes)
+            return (null, $"Upload size must be between {WavHeaderBytes} bytes and {_maxUploadBytes / (1024 * 1024)} MB");
+        var ev = await _db.events.FirstOrDefaultAsync(e => e.Id == eventId);
+        if (ev == null)
+            return (null, "Event not found");
+        track = AudioTracks.Find(ev.AudioTracks, track);
+        if (track == null)
+            return (null, "Unknown audio track for this event");
+        if (replaceRecordingId.HasValue)
+        {
+            var replaced = await _db.eventRecordings.FirstOrDefaultAsync(r => r.Id == replaceRecordingId.Value && r.EventId == eventId);
+            if (replaced == null)
+                return (null, "Recording to replace not found for this event");
+            // A floor backup must not overwrite an interpretation channel's recording, or the other way round
+            if ((replaced.AudioTrack ?? AudioTracks.Floor) != track)
+                return (null, "Recording to replace is of another audio track");
+        }
+
+        Directory.CreateDirectory(_uploadPath);
+        var upload = new RecordingUpload
+        {
+            UploadId = Guid.NewGuid().ToString("N"),
+            EventId = eventId,
+            TotalBytes = totalBytes,
+            ReplaceRecordingId = replaceRecordingId,
+            Track = track,
+            CreatedAt = DateTime.UtcNow
+        };
+        await File.WriteAllTextAsync(MetadataPath(upload.UploadId), JsonSerializer.Serialize(upload));
+        await File.Create(PartPath(upload.UploadId)).DisposeAsync();
+        Console.WriteLine($"[RecordingUpload] Created upload {upload.UploadId} for event {eventId}: {totalBytes} bytes, replace={replaceRecordingId}, track={AudioTracks.Label(track)}");
+        return (upload, null);
+    }
+
+    /// <summary>
+    /// Load an upload with its current received byte count, or null if unknown.
+    /// </summary>
+    public async Task<RecordingUpload?> GetAsync(string uploadId)
+    {
+        if (!IsValidId(uploadId) || !File.Exists(MetadataPath(uploadId))) return null;
+        var upload = JsonSerializer.Deserialize<RecordingUpload>(await File.ReadAllTextAsync(MetadataPath(uploadId)));
+        if (upload == null) return null;
+        upload.ReceivedBytes = File.Exists(PartPath(uploadId)) ? new FileInfo(PartPath(uploadId)).Length : 0;
+        return upload;
+    }
+
+    /// <summary>
+    /// Append a chunk at offset. Returns the received byte count afterwards; when offset does
+    /// not match what the server has (a retried or lost chunk), nothing is written and
+    /// accepted is false so the client can continue from ReceivedBytes.
+    /// </summary>
+    public async Task<(bool accepted, long receivedBytes, string? error)> AppendAsync(RecordingUpload upload, long offset, Stream body)
+    {
+        var uploadLock = UploadLocks.GetOrAdd(upload.UploadId, _ => new SemaphoreSlim(1, 1));
+        await uploadLock.WaitAsync();
+        try
+        {
+            // Completed or cancelled while this chunk waited for the lock
+            if (!File.Exists(MetadataPath(upload.UploadId))) return (false, 0, "Upload not found");
+            await using var part = new FileStream(PartPath(upload.UploadId), FileMode.Append, FileAccess.Write);
+            if (part.Length != offset) return (false, part.Length, null);
+
+            var buffer = new byte[81920];
+            long written = 0;
+            int read;
+            while ((read = await body.ReadAsync(buffer)) > 0)
+            {
+                written += read;
+                if (written > MaxChunkBytes || offset + written > upload.TotalBytes)
+                {
+                    // Drop the partial write so the client can resend a valid chunk from offset
+                    part.SetLength(offset);
+                    return (false, offset, $"Chunk exceeds {MaxChunkBytes} bytes or the announced total size");
+                }
+                await part.WriteAsync(buffer.AsMemory(0, read));
+            }
+            return (true, part.Length, null);
+        }
+        finally
+        {
+            uploadLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Finish an upload: check it is a complete WAV file, move it to the recordings folder and
+    /// add a new EventRecording or replace the file of ReplaceRecordingId (old file deleted).
+    /// </summary>
+    public async Task<(EventRecording? recording, string? error)> CompleteAsync(RecordingUpload upload)
+    {
+        // Same lock as AppendAsync: a retried chunk still being written must not land in a moved file
+        var uploadLock = UploadLocks.GetOrAdd(upload.UploadId, _ => new SemaphoreSlim(1, 1));
+        await uploadLock.WaitAsync();
+        string fileName;
+        int? durationSeconds;
+        try
+        {
+            var receivedBytes = File.Exists(PartPath(upload.UploadId)) ? new FileInfo(PartPath(upload.UploadId)).Length : 0;
+            if (!File.Exists(MetadataPath(upload.UploadId)) || receivedBytes != upload.TotalBytes)
+                return (null, $"Upload incomplete: {receivedBytes} of {upload.TotalBytes} bytes");
+
+            durationSeconds = ReadWavDurationSeconds(PartPath(upload.UploadId));
+            if (durationSeconds == null)
+                return (null, "Uploaded file is not a PCM WAV recording");
+
+            Directory.CreateDirectory(_recordingsPath);
+            fileName = $"event-{upload.EventId}{AudioTracks.FileSuffix(upload.Track)}-{DateTime.UtcNow:yyyyMMddHHmmss}-backup.wav";
+            File.Move(PartPath(upload.UploadId), Path.Combine(_recordingsPath, fileName));
+            File.Delete(MetadataPath(upload.UploadId));
+            UploadLocks.TryRemove(upload.UploadId, out _);
+        }
+        finally
+        {
+            uploadLock.Release();
+        }
+
+        EventRecording? recording = null;
+        if (upload.ReplaceRecordingId.HasValue)
+        {
+            recording = await _db.eventRecordings.FirstOrDefaultAsync(r => r.Id == upload.ReplaceRecordingId.Value && r.EventId == upload.EventId);
+            if (recording != null)
+            {
+                var oldPath = Path.Combine(_recordingsPath, recording.FileName);
+                if (File.Exists(oldPath)) File.Delete(oldPath);
+                // Live captions were timed against the old file
+                var oldCaptionsPath = Path.ChangeExtension(oldPath, ".vtt");
+                if (File.Exists(oldCaptionsPath)) File.Delete(oldCaptionsPath);
+                Console.WriteLine($"[RecordingUpload] Replacing recording {recording.Id} ({recording.FileName}) with {fileName}");
+                recording.FileName = fileName;
+                recording.DurationSeconds = durationSeconds.Value;
+                recording.UpdatedAt = DateTime.UtcNow;
+                recording.Completed = true;
+            }
+        }
+        if (recording == null)
+        {
+            recording = new EventRecording
+            {
+                EventId = upload.EventId,
+                AudioTrack = upload.Track.Length == 0 ? null : upload.Track,
+                FileName = fileName,
+                DurationSeconds = durationSeconds.Value,
+                Completed = true,
+                CreatedAt = DateTime.UtcNow,
+                UpdatedAt = DateTime.UtcNow
+            };
+            _db.eventRecordings.Add(recording);
+        }
+        await _db.SaveChangesAsync();
+        Console.WriteLine($"[RecordingUpload] Upload {upload.UploadId} completed as recording {recording.Id}: {fileName}, {durationSeconds}s");
+        return (recording, null);
+    }
+
+    /// <summary>
+    /// Discard an unfinished upload.
+    /// </summary>
+    public async Task CancelAsync(RecordingUpload upload)
+    {
+        // Same lock as AppendAsync and CompleteAsync: the files may be in use by them
+        var uploadLock = UploadLocks.GetOrAdd(upload.UploadId, _ => new SemaphoreSlim(1, 1));
+        await uploadLock.WaitAsync();
+        try
+        {
+            if (File.Exists(PartPath(upload.UploadId))) File.Delete(PartPath(upload.UploadId));
+            if (File.Exists(MetadataPath(upload.UploadId))) File.Delete(MetadataPath(upload.UploadId));
+            UploadLocks.TryRemove(upload.UploadId, out _);
+        }
+        finally
+        {
+            uploadLock.Release();
+        }
+        Console.WriteLine($"[RecordingUpload] Upload {upload.UploadId} cancelled");
+    }
+
+    private string PartPath(string uploadId) => Path.Combine(_uploadPath, $"{uploadId}.part");
+    private string MetadataPath(string uploadId) => Path.Combine(_uploadPath, $"{uploadId}.json");
+
+    // Upload ids end up in file paths; only accept what CreateAsync generates
+    private static bool IsValidId(string uploadId) =>
+        uploadId.Length == 32 && uploadId.All(Uri.IsHexDigit);
+
+    // Duration of a canonical 44-byte-header PCM WAV (as written by RecordingWriter and audioStream.js)
+    private static int? ReadWavDurationSeconds(string path)
+    {
+        using var file = File.OpenRead(path);
+        var header = new byte[WavHeaderBytes];
+        if (file.Read(header, 0, header.Length) != header.Length) return null;
+        if (Encoding.ASCII.GetString(header, 0, 4) != "RIFF" || Encoding.ASCII.GetString(header, 8, 4) != "WAVE"
+            || Encoding.ASCII.GetString(header, 36, 4) != "data" || BitConverter.ToInt16(header, 20) != 1)
+        {
+            return null;
+        }
+        var byteRate = BitConverter.ToInt32(header, 28);
+        if (byteRate <= 0) return null;
+        return (int)((file.Length - WavHeaderBytes) / byteRate);
+    }
+}
+
+// Upload state, persisted as JSON next to the partial file
+public class RecordingUpload
+{
+    public string UploadId { get; set; } = string.Empty;
+    public int EventId { get; set; }
+    public long TotalBytes { get; set; }
+    public int? ReplaceRecordingId { get; set; }
+    public string Track { get; set; } = AudioTracks.Floor;
+    public DateTime CreatedAt { get; set; }
+    // Size of the partial file; not persisted
+    [System.Text.Json.Serialization.JsonIgnore]
+    public long ReceivedBytes { get; set; }
+}
+
+// Body of POST /api/recordings/uploads
+public class CreateRecordingUploadRequest
+{
+    public int EventId { get; set; }
+    public long TotalBytes { get; set; }
+    public int? ReplaceRecordingId { get; set; }
+    public string? Track { get; set; }
+}
@@ -0,0 +1,74 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text;
+
+/// <summary>
+/// Minimal WebVTT support for recording captions: cue timings and plain text only
+/// (no cue settings, styles or regions).
+/// </summary>
+public static class WebVtt
+{
+    private static readonly string[] TimestampFormats = { @"hh\:mm\:ss\.fff", @"mm\:ss\.fff" };
+
+    public static string Format(IEnumerable<WebVttCue> cues)
+    {
+        var builder = new StringBuilder("WEBVTT\n\n");
+        foreach (var cue in cues)
+        {
+            var end = cue.End > cue.Start ? cue.End : cue.Start + TimeSpan.FromMilliseconds(500);
+            builder.Append(FormatTimestamp(cue.Start)).Append(" --> ").Append(FormatTimestamp(end)).Append('\n');
+            builder.Append(EscapeText(cue.Text)).Append("\n\n");
+        }
+        return builder.ToString();
+    }
+
+    // Reads cues written by Format; unknown blocks (NOTE, STYLE, cue settings) are skipped
+    public static List<WebVttCue> Parse(string content)
+    {
+        var cues = new List<WebVttCue>();
+        var blocks = content.Replace("\r\n", "\n").Split("\n\n", StringSplitOptions.RemoveEmptyEntries);
+        foreach (var block in blocks)
+        {
+            var lines = block.Split('\n');
+            var timingIndex = Array.FindIndex(lines, l => l.Contains("-->"));
+            if (timingIndex < 0) continue;
+            var parts = lines[timingIndex].Split("-->", StringSplitOptions.TrimEntries);
+            if (!TryParseTimestamp(parts[0], out var start)
+                || !TryParseTimestamp(parts[1].Split(' ')[0], out var end))
+            {
+                continue;
+            }
+            var text = string.Join("\n", lines.Skip(timingIndex + 1));
+            cues.Add(new WebVttCue { Start = start, End = end, Text = UnescapeText(text) });
+        }
+        return cues;
+    }
+
+    private static string FormatTimestamp(TimeSpan time) =>
+        $"{(int)time.TotalHours:00}:{time.Minutes:00}:{time.Seconds:00}.{time.Milliseconds:000}";
+
+    private static bool TryParseTimestamp(string value, out TimeSpan time) =>
+        TimeSpan.TryParseExact(value, TimestampFormats, CultureInfo.InvariantCulture, out time);
+
+    // Cue text may not contain blank lines or "-->"; &, < and > are markup characters
+    private static string EscapeText(string text)
+    {
+        var lines = text.Replace("\r\n", "\n").Split('\n', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        return string.Join("\n", lines)
+            .Replace("&", "&amp;")
+            .Replace("<", "&lt;")
+            .Replace(">", "&gt;");
+    }
+
+    private static string UnescapeText(string text) =>
+        text.Replace("&lt;", "<").Replace("&gt;", ">").Replace("&amp;", "&");
+}
+
+public class WebVttCue
+{
+    public TimeSpan Start { get; set; }
+    public TimeSpan End { get; set; }
+    public string Text { get; set; } = string.Empty;
+}
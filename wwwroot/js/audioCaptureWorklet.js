@@ -0,0 +1,72 @@
+// AudioWorklet processor for broadcaster microphone capture
+// Runs on the audio rendering thread, so Blazor re-renders on the main thread
+// no longer cause dropouts. Loaded by konfAudio.startBroadcast via audioWorklet.addModule().
+
+class KonfPcm16CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = (options && options.processorOptions) || {};
+        this.chunkSize = opts.chunkSize || 4096; // Frames per chunk sent to the page
+        this.channels = opts.channels || 1; // Output is interleaved (L R L R ...) when > 1
+        this.buffer = new Float32Array(this.chunkSize * this.channels);
+        this.offset = 0; // Frames accumulated in buffer
+        this.active = true;
+
+        this.port.onmessage = (e) => {
+            if (e.data && e.data.type === 'stop') {
+                this.active = false;
+            }
+        };
+    }
+
+    /**
+     * Convert Float32 samples [-1, 1] to PCM16 little-endian bytes.
+     * Mirrors pcmFloatTo16BitPCM in audioStream.js (worklet scope cannot share it).
+     */
+    pcmFloatTo16BitPCM(float32Array) {
+        const buffer = new ArrayBuffer(float32Array.length * 2);
+        const view = new DataView(buffer);
+        let offset = 0;
+        for (let i = 0; i < float32Array.length; i++, offset += 2) {
+            let s = Math.max(-1, Math.min(1, float32Array[i]));
+            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+        }
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * Accumulate 128-frame render quanta into fixed-size interleaved chunks and post
+     * each full chunk back to the page as PCM16 bytes (buffer is transferred).
+     */
+    process(inputs) {
+        if (!this.active) return false;
+
+        const input = inputs[0];
+        if (!input || input.length === 0) return true; // No input connected yet
+
+        const channels = this.channels;
+        const frames = input[0].length;
+        let read = 0;
+        while (read < frames) {
+            const count = Math.min(frames - read, this.chunkSize - this.offset);
+            for (let c = 0; c < channels; c++) {
+                // Fewer input channels than requested: duplicate the last one
+                const data = input[Math.min(c, input.length - 1)];
+                for (let i = 0; i < count; i++) {
+                    this.buffer[(this.offset + i) * channels + c] = data[read + i];
+                }
+            }
+            this.offset += count;
+            read += count;
+
+            if (this.offset === this.chunkSize) {
+                const bytes = this.pcmFloatTo16BitPCM(this.buffer);
+                this.port.postMessage({ type: 'chunk', bytes }, [bytes.buffer]);
+                this.offset = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('konf-pcm16-capture', KonfPcm16CaptureProcessor);
@@ -2,44 +2,214 @@
 // Note: requires https://cdnjs.cloudflare.com/ajax/libs/microsoft-signalr/8.0.5/signalr.min.js
 
 window.konfAudio = (function(){
-    let listen = {
-        connection: null,
-        audioCtx: null,
-        queue: [],
-        playing: false,
-        source: null,
-        sampleRate: 44100, // Will be updated from broadcaster
-        eventId: null,
-        slug: null,
-        token: null,
-        dotNetRef: null,
-        hubUrl: null, // Store for reconnection
-        nextPlayTime: 0, // Next scheduled playback time in AudioContext time
-        totalChunksReceived: 0,
-        totalChunksPlayed: 0,
-        totalChunksDropped: 0,
-        totalChunksScheduled: 0,
-        targetQueueSize: 10, // Target buffer depth (acceptable latency ~850ms)
-        emergencyDropThreshold: 100, // Only drop chunks if queue exceeds this
-        speedupRate: 1.3, // Playback speed when catching up
-        currentPlaybackRate: 1.0, // Current playback speed
-        schedulerTimer: null, // Timer for continuous scheduling
-        wakeLock: null, // Screen Wake Lock to prevent device sleep
-        visibilityHandler: null, // Page visibility change handler
-        reconnecting: false // Flag to prevent duplicate reconnection attempts
+    // Resolve worklet module relative to this script (works regardless of page route)
+    const scriptBaseUrl = document.currentScript ? new URL('.', document.currentScript.src).href : '/js/';
+    const captureWorkletUrl = new URL('audioCaptureWorklet.js', scriptBaseUrl).href;
+    const captureChunkSize = 4096; // Samples per broadcast chunk (both capture paths)
+
+    // Leveled, categorized logging. Every entry goes to a ring buffer for the
+    // diagnostic bundle; the console only shows entries at or above the current
+    // level from enabled categories. Level can be preset with ?konfLog=debug.
+    const logLevels = { error: 0, warn: 1, info: 2, debug: 3 };
+    const logCategories = ['LISTEN-DIAG', 'BROADCAST-DIAG', 'WAKE-LOCK', 'RECONNECT', 'SIGNALR', 'VISIBILITY'];
+    const logRingSize = 2000;
+    const logState = {
+        level: 'info',
+        disabledCategories: new Set(),
+        ring: [] // { time, level, category, message }
+    };
+    try {
+        const urlLevel = new URLSearchParams(window.location.search).get('konfLog');
+        if (urlLevel && urlLevel in logLevels) logState.level = urlLevel;
+    } catch {}
+
+    function formatLogArg(arg) {
+        if (typeof arg === 'string') return arg;
+        if (arg instanceof Error) return `${arg.name}: ${arg.message}${arg.stack ? '\n' + arg.stack : ''}`;
+        try {
+            const json = JSON.stringify(arg);
+            return json === undefined ? String(arg) : json.length > 2000 ? json.slice(0, 2000) + '...' : json;
+        } catch {
+            return String(arg);
+        }
+    }
+
+    function writeLog(level, category, args) {
+        logState.ring.push({ time: new Date().toISOString(), level, category, message: args.map(formatLogArg).join(' ') });
+        if (logState.ring.length > logRingSize) logState.ring.shift();
+
+        if (logLevels[level] > logLevels[logState.level] || logState.disabledCategories.has(category)) return;
+        const method = level === 'error' ? console.error : level === 'warn' ? console.warn : level === 'debug' ? console.debug : console.log;
+        method(`[${category}]`, ...args);
+    }
+
+    const log = {
+        error: (category, ...args) => writeLog('error', category, args),
+        warn: (category, ...args) => writeLog('warn', category, args),
+        info: (category, ...args) => writeLog('info', category, args),
+        debug: (category, ...args) => writeLog('debug', category, args)
     };
 
+    // Chunk header prepended by the broadcaster (little-endian, 24 bytes):
+    // [0] magic 'K' [1] version [2] header length [3] channel count (interleaved payload)
+    // [4] u32 stream id (random per broadcast) [8] u32 sequence [12] f64 capture time (epoch ms) [20] u32 sample rate
+    const CHUNK_MAGIC = 0x4B;
+    const CHUNK_HEADER_VERSION = 1;
+    const CHUNK_HEADER_BYTES = 24;
+    const maxConcealMs = 500; // Longer gaps are faded out, not filled
+    const fadeInMs = 5; // Ramp applied to the first chunk after a gap
+    const sourceCrossfadeMs = 150; // Overlap when the hub switches to another broadcaster (presenter handoff)
+
+    // Broadcaster input level monitoring
+    const levelReportIntervalMs = 200; // How often levels are pushed to Blazor
+    const clipSampleThreshold = 32700; // |PCM16 sample| at or above this counts as clipped
+    const silenceDbfs = -60; // RMS below this counts as silence
+    const silenceAlarmMs = 10000; // Continuous silence longer than this raises the alarm
+
+    // Listener output settings (volume, mute, enhancement), persisted in localStorage
+    const listenerSettingsKey = 'konfAudio.listenerSettings';
+    const defaultListenerSettings = { volume: 1.0, muted: false, compressor: false, voiceEq: false };
+    const maxListenerVolume = 2.0; // Allows boosting quiet rooms; the compressor limits peaks
+
+    const statsIntervalMs = 5000; // Listener stats pushed to Blazor and reported to the hub
+    const playbackStateIntervalMs = 1000; // Unchanged playback states are re-sent at most this often
+    const bufferingThresholdMs = 50; // Less audio ahead than this counts as buffering
+
+    // Time-shift: every session keeps a rolling in-memory history of received chunks
+    const defaultHistoryMs = 15 * 60 * 1000; // How far back listeners can rewind
+    const defaultHistoryMaxBytes = 96 * 1024 * 1024; // Memory cap (PCM16 stereo fills it before 15 min)
+    const timeShiftLeadMs = 1000; // Audio fed ahead from history while time-shifted
+    const maxTimeShiftRate = 2.0;
+    const defaultStartSecondsBack = 5; // Late joiners start this far back (hub keeps Streaming:CatchUpBufferSeconds)
+
+    // Live captions (ReceiveCaption), shown while the audio they belong to plays
+    const captionLingerMs = 1500; // A caption stays up this long after its speech ended
+    const minCaptionShowMs = 2000; // Captions arriving after their audio played still show this long
+    const maxCaptionShowMs = 6000;
+    const maxCaptionLines = 2;
+    const captionUpdateIntervalMs = 100;
+
+    // Listener-side local recording (JoinListener's AllowRecording must be true)
+    const localRecordingOpusTypes = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus']; // MediaRecorder, first supported wins
+    const maxLocalWavBytes = 512 * 1024 * 1024; // WAV is kept in memory until download; stop appending beyond this
+    // Broadcaster backup recording: captured PCM16 is kept in IndexedDB, independent of the hub connection
+    const backupDbName = 'konfAudio';
+    const backupDbVersion = 1;
+    const backupFlushIntervalMs = 2000; // Captured chunks are written in one transaction this often
+    const backupUploadUrl = '/api/recordings/uploads';
+    const backupUploadChunkBytes = 4 * 1024 * 1024; // Lowered to the server's maxChunkBytes if that is smaller
+    const backupUploadRetries = 6; // Consecutive failed chunk requests before an upload gives up (resumable later)
+    // Raise hand: an approved listener's microphone is relayed to the live broadcaster and mixed in
+    const speakerJitterMs = 250; // Speaker audio is scheduled this far ahead at the broadcaster
+    const speakerMaxLeadMs = 1000; // More audio queued than this (clock drift, burst) restarts the schedule
+    const speakerDuckGain = 0.2; // Listener output level while its own voice comes back through the stream
+    const speakerProcessing = { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+
+    const listenerSessions = new Set(); // Live sessions from createListenerSession
+    let listenerSessionCounter = 0;
+
     let broadcast = {
         connection: null,
         stream: null,
         audioCtx: null,
-        processor: null,
+        source: null, // MediaStreamAudioSourceNode feeding the capture node
+        processor: null, // AudioWorkletNode, or ScriptProcessorNode fallback
         sampleRate: null, // Will be detected from AudioContext
+        channels: 1, // 1 = mono, 2 = stereo (interleaved in each chunk)
+        codec: 'pcm16', // Codec actually in use ('opus' only if AudioEncoder supports it)
+        encoder: null, // WebCodecs AudioEncoder (Opus mode only)
+        encodeTimestampUs: 0, // Running AudioData timestamp in microseconds
         sending: false,
         eventId: null,
-        chunksSent: 0
+        track: '', // Audio track: '' = floor, otherwise an interpretation channel of the event
+        chunksSent: 0,
+        streamId: 0, // Random id so listeners can tell a restarted broadcast from a replay
+        sequence: 0, // Next chunk sequence number
+        lastChunkTime: null,
+        binaryTransport: false, // true when the connection negotiated MessagePack
+        paused: false, // Captured chunks are metered but not sent (pauseBroadcast)
+        standby: false, // Another broadcaster is live: chunks are metered but not sent (see registerBroadcaster)
+        role: null, // { live, recording, streamId } from RegisterBroadcaster / BroadcastRoleChanged
+        backlog: [], // Framed chunks captured while disconnected: { bytes, capturedAt }
+        maxBacklogMs: 30000, // Oldest backlog audio is discarded beyond this age
+        backlogDropped: 0, // Chunks discarded because the backlog exceeded maxBacklogMs
+        flushing: false, // Backlog is being sent after a reconnect
+        dotNetRef: null, // Blazor component receiving UpdateInputLevel callbacks
+        level: null, // Input level accumulator, see resetInputLevel
+        deviceId: null, // Selected input device (null = browser default)
+        processing: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }, // Capture DSP flags
+        backup: null, // Backup recording in progress: { session, pending, writing, flushTimer }
+        speakerBus: null, // Mix input for approved listeners (raise hand), see ensureSpeakerBus
+        monitorSpeakers: false, // Also play approved listeners on this device (headphones only), see applySpeakerMonitor
+        speakers: new Map() // Listener connection id -> { nextPlayTime } while speaking
     };
 
+    /**
+     * True when the SignalR MessagePack protocol script is loaded.
+     * Without it every connection falls back to JSON (Base64 audio chunks).
+     */
+    function isMessagePackAvailable() {
+        return typeof signalR !== 'undefined' &&
+            !!(signalR.protocols && signalR.protocols.msgpack && signalR.protocols.msgpack.MessagePackHubProtocol);
+    }
+
+    /**
+     * Build a hub connection, negotiating MessagePack when available so byte[]
+     * audio goes over the wire as raw binary instead of Base64 strings.
+     * @param {string} hubUrl - Hub endpoint
+     * @param {number[]} [reconnectIntervals] - Custom retry delays in ms (default SignalR policy if omitted)
+     */
+    function createHubConnection(hubUrl, reconnectIntervals) {
+        let builder = new signalR.HubConnectionBuilder().withUrl(hubUrl);
+        builder = reconnectIntervals
+            ? builder.withAutomaticReconnect(reconnectIntervals)
+            : builder.withAutomaticReconnect();
+        if (isMessagePackAvailable()) {
+            builder = builder.withHubProtocol(new signalR.protocols.msgpack.MessagePackHubProtocol());
+        }
+        return builder.build();
+    }
+
+    /**
+     * Read a property from a hub result regardless of protocol casing:
+     * JSON uses camelCase, MessagePack (contractless) keeps PascalCase.
+     */
+    function readHubField(obj, name) {
+        if (!obj) return undefined;
+        if (obj[name] !== undefined) return obj[name];
+        return obj[name.charAt(0).toUpperCase() + name.slice(1)];
+    }
+
+    /**
+     * Normalize the JoinListener result (old boolean format or JoinListenerResult object).
+     * @param {*} result - Raw invoke result
+     * @param {number} fallbackSampleRate - Used when the result carries no sample rate
+     */
+    function parseJoinResult(result, fallbackSampleRate) {
+        if (typeof result === 'boolean') {
+            return { ok: result, sampleRate: fallbackSampleRate, codec: 'pcm16', channels: 1, paused: false, backlog: [], allowRecording: true, banned: false };
+        }
+        return {
+            ok: readHubField(result, 'success') === true,
+            sampleRate: readHubField(result, 'sampleRate') || fallbackSampleRate,
+            codec: readHubField(result, 'codec') || 'pcm16',
+            channels: readHubField(result, 'channels') || 1,
+            paused: readHubField(result, 'paused') === true,
+            backlog: readHubField(result, 'backlog') || [], // Recent chunks for startSecondsBack
+            allowRecording: readHubField(result, 'allowRecording') !== false, // Absent from older hubs
+            banned: readHubField(result, 'isBanned') === true // An organizer banned this account or token
+        };
+    }
+
+    function loadListenerSettings(key) {
+        try {
+            const stored = key ? JSON.parse(localStorage.getItem(key) || 'null') : null;
+            return Object.assign({}, defaultListenerSettings, stored);
+        } catch {
+            return Object.assign({}, defaultListenerSettings);
+        }
+    }
+
     function ensureAudioContext(obj){
         if (!obj.audioCtx) {
             obj.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
@@ -52,18 +222,18 @@ window.konfAudio = (function(){
      */
     async function requestWakeLock() {
         if (!('wakeLock' in navigator)) {
-            console.log('[WAKE-LOCK] Wake Lock API not supported on this device');
+            log.info('WAKE-LOCK', 'Wake Lock API not supported on this device');
             return null;
         }
 
         try {
             const wakeLock = await navigator.wakeLock.request('screen');
-            console.log('[WAKE-LOCK] Screen wake lock acquired');
+            log.info('WAKE-LOCK', 'Screen wake lock acquired');
 
             // Wake lock is released when page visibility changes
             // We need to re-acquire it when page becomes visible again
             wakeLock.addEventListener('release', () => {
-                console.log('[WAKE-LOCK] Wake lock was released');
+                log.info('WAKE-LOCK', 'Wake lock was released');
             });
 
             return wakeLock;
@@ -72,688 +242,3651 @@ window.konfAudio = (function(){
             // - Page is not visible
             // - Low battery mode on some devices
             // - User denied permission
-            console.warn('[WAKE-LOCK] Failed to acquire wake lock:', err.message);
+            log.warn('WAKE-LOCK', 'Failed to acquire wake lock:', err.message);
             return null;
         }
     }
 
     /**
-     * Release the wake lock when stopping listening
+     * Interleave planar channels (L R L R ...) for the PCM16 chunk format
      */
-    async function releaseWakeLock() {
-        if (listen.wakeLock) {
-            try {
-                await listen.wakeLock.release();
-                console.log('[WAKE-LOCK] Wake lock released');
-            } catch (err) {
-                console.warn('[WAKE-LOCK] Error releasing wake lock:', err.message);
+    function interleave(planes) {
+        if (planes.length === 1) return planes[0];
+        const frames = planes[0].length;
+        const out = new Float32Array(frames * planes.length);
+        for (let f = 0, i = 0; f < frames; f++) {
+            for (let c = 0; c < planes.length; c++, i++) {
+                out[i] = planes[c][f];
             }
-            listen.wakeLock = null;
         }
+        return out;
     }
 
-    /**
-     * Handle page visibility changes (mobile browser going to background)
-     * Re-acquires wake lock and resumes AudioContext when page becomes visible
-     */
-    function setupVisibilityHandler() {
-        if (listen.visibilityHandler) {
-            document.removeEventListener('visibilitychange', listen.visibilityHandler);
+    function pcmFloatTo16BitPCM(float32Array) {
+        const buffer = new ArrayBuffer(float32Array.length * 2);
+        const view = new DataView(buffer);
+        let offset = 0;
+        for (let i = 0; i < float32Array.length; i++, offset += 2) {
+            let s = Math.max(-1, Math.min(1, float32Array[i]));
+            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
         }
+        return new Uint8Array(buffer);
+    }
 
-        listen.visibilityHandler = async () => {
-            if (document.visibilityState === 'visible') {
-                console.log('[VISIBILITY] Page became visible');
-
-                // Re-acquire wake lock (it's released when page goes to background)
-                if (!listen.wakeLock && listen.connection) {
-                    listen.wakeLock = await requestWakeLock();
-                }
+    /**
+     * Wrap interleaved PCM16 chunks (see pcmFloatTo16BitPCM) in a WAV file
+     * @param {(Uint8Array|Blob)[]} chunks - Little-endian PCM16, interleaved when stereo
+     * @returns {Blob} audio/wav
+     */
+    function encodeWav(chunks, sampleRate, channels) {
+        const dataBytes = chunks.reduce((total, chunk) => total + (chunk instanceof Blob ? chunk.size : chunk.byteLength), 0);
+        const header = new ArrayBuffer(44);
+        const view = new DataView(header);
+        const writeTag = (offset, tag) => {
+            for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+        };
+        writeTag(0, 'RIFF');
+        view.setUint32(4, 36 + dataBytes, true);
+        writeTag(8, 'WAVE');
+        writeTag(12, 'fmt ');
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channels * 2, true); // Byte rate
+        view.setUint16(32, channels * 2, true); // Block align
+        view.setUint16(34, 16, true); // Bits per sample
+        writeTag(36, 'data');
+        view.setUint32(40, dataBytes, true);
+        return new Blob([header].concat(chunks), { type: 'audio/wav' });
+    }
 
-                // Resume AudioContext if it was suspended
-                if (listen.audioCtx && listen.audioCtx.state === 'suspended') {
-                    console.log('[VISIBILITY] Resuming suspended AudioContext...');
-                    try {
-                        await listen.audioCtx.resume();
-                        console.log('[VISIBILITY] AudioContext resumed, state:', listen.audioCtx.state);
-                    } catch (err) {
-                        console.error('[VISIBILITY] Failed to resume AudioContext:', err);
-                    }
-                }
+    /**
+     * Save a Blob through a temporary download link
+     */
+    function downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
 
-                // Check SignalR connection state and reconnect if needed
-                if (listen.connection && listen.connection.state === 'Disconnected') {
-                    console.log('[VISIBILITY] SignalR disconnected, attempting reconnection...');
-                    await handleReconnection();
-                }
+    /**
+     * Prepend the chunk header (channels, sequence, capture time, sample rate) to a payload
+     * @param {Object} [source=broadcast] - { channels, streamId, sampleRate } of the sender
+     */
+    function encodeChunk(payload, sequence, captureTimeMs, source) {
+        const from = source || broadcast;
+        const bytes = new Uint8Array(CHUNK_HEADER_BYTES + payload.byteLength);
+        const view = new DataView(bytes.buffer);
+        bytes[0] = CHUNK_MAGIC;
+        bytes[1] = CHUNK_HEADER_VERSION;
+        bytes[2] = CHUNK_HEADER_BYTES;
+        bytes[3] = from.channels;
+        view.setUint32(4, from.streamId, true);
+        view.setUint32(8, sequence, true);
+        view.setFloat64(12, captureTimeMs, true);
+        view.setUint32(20, from.sampleRate, true);
+        bytes.set(payload, CHUNK_HEADER_BYTES);
+        return bytes;
+    }
 
-                // Reset playback timing to avoid audio gaps after resuming
-                if (listen.audioCtx && listen.queue.length > 0) {
-                    listen.nextPlayTime = listen.audioCtx.currentTime + 0.05;
-                    console.log('[VISIBILITY] Reset playback timing, queue depth:', listen.queue.length);
-                }
-            } else {
-                console.log('[VISIBILITY] Page hidden (background)');
-                // Wake lock will be auto-released by the browser
+    // MessagePack delivers byte[] as Uint8Array; JSON protocol delivers a Base64 string
+    function chunkToBytes(chunk) {
+        if (chunk instanceof Uint8Array) return chunk;
+        if (typeof chunk === 'string') {
+            const binaryString = atob(chunk);
+            const bytes = new Uint8Array(binaryString.length);
+            for (let i = 0; i < binaryString.length; i++) {
+                bytes[i] = binaryString.charCodeAt(i);
             }
-        };
-
-        document.addEventListener('visibilitychange', listen.visibilityHandler);
-        console.log('[VISIBILITY] Visibility change handler installed');
+            return bytes;
+        }
+        return new Uint8Array(chunk);
     }
 
     /**
-     * Remove visibility handler on cleanup
+     * Split a received chunk into header and payload.
+     * Chunks from older broadcasters have no header; header is null for them.
      */
-    function removeVisibilityHandler() {
-        if (listen.visibilityHandler) {
-            document.removeEventListener('visibilitychange', listen.visibilityHandler);
-            listen.visibilityHandler = null;
-            console.log('[VISIBILITY] Visibility change handler removed');
+    function decodeChunk(bytes) {
+        if (bytes.byteLength < CHUNK_HEADER_BYTES ||
+            bytes[0] !== CHUNK_MAGIC || bytes[1] !== CHUNK_HEADER_VERSION || bytes[2] !== CHUNK_HEADER_BYTES) {
+            return { header: null, payload: bytes };
         }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, CHUNK_HEADER_BYTES);
+        return {
+            header: {
+                channels: bytes[3] || 1, // 0 = written before channel support, i.e. mono
+                streamId: view.getUint32(4, true),
+                sequence: view.getUint32(8, true),
+                captureTimeMs: view.getFloat64(12, true),
+                sampleRate: view.getUint32(20, true)
+            },
+            payload: bytes.subarray(CHUNK_HEADER_BYTES)
+        };
     }
 
     /**
-     * Handle SignalR reconnection - re-join listener group after connection restored
+     * Send one captured PCM16 chunk to the hub.
+     * Shared by the AudioWorklet and ScriptProcessor capture paths.
      */
-    async function handleReconnection() {
-        if (listen.reconnecting) {
-            console.log('[RECONNECT] Already attempting reconnection, skipping...');
-            return;
-        }
+    async function sendBroadcastChunk(payload) {
+        // Sequence is assigned even if the chunk is dropped later, so listeners see the gap
+        const now = Date.now();
+        const bytes = encodeChunk(payload, broadcast.sequence++, now);
+        broadcast.chunksSent++;
+        const chunkCount = broadcast.chunksSent;
 
-        if (!listen.eventId || !listen.slug) {
-            console.log('[RECONNECT] No event info stored, cannot reconnect');
+        const intervalMs = broadcast.lastChunkTime ? (now - broadcast.lastChunkTime) : 0;
+        broadcast.lastChunkTime = now;
+
+        if (chunkCount === 1) {
+            log.info('BROADCAST-DIAG', 'First audio chunk captured!');
+            log.info('BROADCAST-DIAG', 'Sample rate:', broadcast.sampleRate, 'Hz');
+        }
+        // Keep order: while a backlog exists, new chunks queue behind it
+        if (!broadcast.connection || broadcast.connection.state !== 'Connected' || broadcast.backlog.length > 0) {
+            if (chunkCount === 1) {
+                log.debug('BROADCAST-DIAG', '[broadcast] Connection not ready, state:', broadcast.connection?.state);
+            }
+            bufferBroadcastChunk(bytes, now);
             return;
         }
 
-        listen.reconnecting = true;
+        // Log every 100th chunk
+        if (chunkCount % 100 === 0) {
+            log.debug('BROADCAST-DIAG', `Chunk #${chunkCount}: ${bytes.length}B, interval: ${intervalMs}ms, sampleRate: ${broadcast.sampleRate}Hz`);
+        }
+        await sendFramedChunk(bytes, chunkCount);
+    }
 
+    /**
+     * Send one framed chunk (header + payload) to the hub
+     */
+    async function sendFramedChunk(bytes, chunkCount) {
         try {
-            // If connection is fully disconnected, we need to restart it
-            if (listen.connection.state === 'Disconnected') {
-                console.log('[RECONNECT] Connection is disconnected, starting...');
-                await listen.connection.start();
-                console.log('[RECONNECT] Connection restarted');
+            if (broadcast.binaryTransport) {
+                // MessagePack serializes Uint8Array as bin -> byte[] on the hub
+                await broadcast.connection.invoke("BroadcastAudioChunkBinary", broadcast.eventId, bytes);
+            } else {
+                // Compatibility path: Base64 string for SignalR JSON serialization
+                const base64 = btoa(String.fromCharCode.apply(null, bytes));
+                await broadcast.connection.invoke("BroadcastAudioChunk", broadcast.eventId, base64);
+            }
+        } catch (err) {
+            if (broadcast.binaryTransport && /Method does not exist/i.test(err?.message || '')) {
+                // Older hub without the binary method - switch to Base64 for the rest of the session
+                log.warn('BROADCAST-DIAG', '[broadcast] Hub has no BroadcastAudioChunkBinary, falling back to Base64 chunks');
+                broadcast.binaryTransport = false;
+                return sendFramedChunk(bytes, chunkCount); // Resend this chunk so listeners see no gap
+            }
+            log.error('BROADCAST-DIAG', "[broadcast] Error sending chunk:", err);
+            if (chunkCount === 1) {
+                log.error('BROADCAST-DIAG', "[broadcast] Full error details:", err);
             }
+        }
+    }
 
-            // Re-join the listener group
-            console.log('[RECONNECT] Re-joining listener group for event', listen.eventId);
-            const result = await listen.connection.invoke("JoinListener", listen.eventId, listen.slug, listen.token || null);
+    /**
+     * Hold a chunk captured while the hub connection is down. Audio older than
+     * maxBacklogMs is discarded (listeners and the recording see a sequence gap).
+     */
+    function bufferBroadcastChunk(bytes, capturedAt) {
+        broadcast.backlog.push({ bytes, capturedAt });
+        const oldestAllowed = capturedAt - broadcast.maxBacklogMs;
+        let dropped = 0;
+        while (broadcast.backlog.length > 0 && broadcast.backlog[0].capturedAt < oldestAllowed) {
+            broadcast.backlog.shift();
+            dropped++;
+        }
+        if (dropped > 0) {
+            broadcast.backlogDropped += dropped;
+            if (broadcast.backlogDropped % 50 < dropped) {
+                log.warn('RECONNECT', `Backlog over ${broadcast.maxBacklogMs}ms, discarded ${broadcast.backlogDropped} chunk(s) so far`);
+            }
+        }
+    }
 
-            let ok, sampleRate;
-            if (typeof result === 'boolean') {
-                ok = result;
-                sampleRate = listen.sampleRate; // Keep existing
-            } else {
-                ok = result.success;
-                sampleRate = result.sampleRate;
+    /**
+     * Send chunks buffered during a disconnect, oldest first. Invocations are
+     * issued without awaiting each round trip; SignalR delivers them in order.
+     */
+    async function flushBroadcastBacklog() {
+        if (broadcast.flushing) return;
+        broadcast.flushing = true;
+        let sent = 0;
+        try {
+            while (broadcast.backlog.length > 0 && broadcast.connection && broadcast.connection.state === 'Connected') {
+                const batch = broadcast.backlog.splice(0, broadcast.backlog.length);
+                await Promise.all(batch.map(item => sendFramedChunk(item.bytes, -1)));
+                sent += batch.length;
             }
+            log.info('RECONNECT', `Flushed ${sent} buffered chunk(s), discarded ${broadcast.backlogDropped} over the backlog cap`);
+        } finally {
+            broadcast.flushing = false;
+        }
+    }
 
-            if (ok) {
-                if (sampleRate && sampleRate > 0) {
-                    listen.sampleRate = sampleRate;
-                }
-                console.log('[RECONNECT] Successfully re-joined listener group');
+    function notifyBroadcastConnectionState(state) {
+        if (!broadcast.dotNetRef) return;
+        broadcast.dotNetRef.invokeMethodAsync('OnBroadcastConnectionChanged', state, broadcast.backlog.length, broadcast.backlogDropped)
+            .catch(err => log.warn('RECONNECT', 'Failed to notify UI:', err));
+    }
 
-                // Notify UI that we're reconnected
-                if (listen.dotNetRef) {
-                    try {
-                        await listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'reconnected');
-                    } catch (err) {
-                        console.warn('[RECONNECT] Failed to notify UI:', err);
+    /**
+     * Broadcaster counterpart of setupReconnectionHandlers: keep capturing while
+     * SignalR reconnects, then re-announce the stream format (and break state)
+     * and flush what was captured meanwhile.
+     */
+    function setupBroadcastReconnectionHandlers(connection) {
+        connection.onreconnecting((error) => {
+            log.warn('RECONNECT', 'Broadcast connection lost, buffering audio locally...', error?.message);
+            notifyBroadcastConnectionState('reconnecting');
+        });
+
+        connection.onreconnected(async (connectionId) => {
+            log.info('RECONNECT', 'Broadcast connection restored:', connectionId, 'backlog:', broadcast.backlog.length);
+            await restoreBroadcast(connection);
+        });
+
+        connection.onclose((error) => {
+            if (!broadcast.processor || broadcast.connection !== connection) return; // Normal shutdown
+            // Automatic reconnect gave up; keep capturing and retry until the broadcast is stopped
+            log.error('RECONNECT', 'Broadcast connection closed after all retries:', error?.message);
+            notifyBroadcastConnectionState('disconnected');
+            restartBroadcastConnection(connection);
+        });
+    }
+
+    async function restoreBroadcast(connection) {
+        try {
+            if (broadcast.processor) {
+                // The live role was freed on disconnect; someone else may have taken it meanwhile
+                const wasLive = !broadcast.standby;
+                const role = await registerBroadcaster(connection, broadcast.standby);
+                if (role.live) {
+                    await connection.invoke("NotifyStreamStarted", broadcast.eventId, broadcast.sampleRate, broadcast.codec, broadcast.channels);
+                    if (broadcast.paused) {
+                        await connection.invoke("NotifyStreamPaused", broadcast.eventId);
                     }
+                } else if (wasLive) {
+                    log.warn('RECONNECT', 'Another broadcaster went live while disconnected, now on standby');
+                    notifyBroadcastRole();
                 }
-            } else {
-                console.error('[RECONNECT] Failed to re-join listener group');
             }
+            await flushBroadcastBacklog();
+            notifyBroadcastConnectionState('connected');
         } catch (err) {
-            console.error('[RECONNECT] Error during reconnection:', err);
-        } finally {
-            listen.reconnecting = false;
+            log.error('RECONNECT', 'Error restoring broadcast:', err);
+            notifyBroadcastConnectionState('reconnecting');
+        }
+    }
+
+    async function restartBroadcastConnection(connection) {
+        while (broadcast.processor && broadcast.connection === connection && connection.state === 'Disconnected') {
+            await new Promise(resolve => setTimeout(resolve, 10000));
+            if (!broadcast.processor || broadcast.connection !== connection) return;
+            try {
+                await connection.start();
+                log.info('RECONNECT', 'Broadcast connection restarted, backlog:', broadcast.backlog.length);
+                await restoreBroadcast(connection);
+            } catch (err) {
+                log.warn('RECONNECT', 'Broadcast restart failed, retrying in 10s:', err?.message);
+            }
         }
     }
 
     /**
-     * Setup SignalR reconnection event handlers
+     * Register with the hub as a broadcaster of broadcast.eventId on broadcast.track. Only one
+     * broadcaster per track is live; the others stand by with capture running and can be handed
+     * the live role (HandOffBroadcast) or take it when it is free.
+     * @param {boolean} standby - Stand by even if nobody is live
+     * @returns {Promise<{live: boolean, recording: boolean, streamId: number}>}
      */
-    function setupReconnectionHandlers(connection) {
-        connection.onreconnecting((error) => {
-            console.log('[SIGNALR] Connection lost, attempting to reconnect...', error?.message);
-            updateStreamQualityUI(listen.queue.length, listen.currentPlaybackRate);
+    async function registerBroadcaster(connection, standby) {
+        const result = await connection.invoke("RegisterBroadcaster", broadcast.eventId, broadcast.track, broadcast.streamId,
+            broadcast.sampleRate, broadcast.codec, broadcast.channels, standby);
+        setBroadcastRole(readHubField(result, 'live') === true, readHubField(result, 'recording') === true);
+        return broadcast.role;
+    }
 
-            // Notify UI about reconnecting state
-            const statusEl = document.getElementById('streamStatus');
-            if (statusEl) {
-                statusEl.textContent = 'Reconnecting...';
-                statusEl.style.color = '#ff9800';
-            }
-        });
+    function setBroadcastRole(live, recording) {
+        if (broadcast.standby === live) {
+            log.info('BROADCAST-DIAG', `Broadcast role: ${live ? 'live' : 'standby'}`);
+            broadcast.paused = false; // A break ends with the handoff in either direction
+        }
+        broadcast.standby = !live;
+        if (!live) broadcast.backlog = []; // The hub would drop it anyway
+        broadcast.role = { live, recording, streamId: broadcast.streamId };
+    }
 
-        connection.onreconnected(async (connectionId) => {
-            console.log('[SIGNALR] Reconnected with connectionId:', connectionId);
+    function notifyBroadcastRole() {
+        if (!broadcast.dotNetRef || !broadcast.role) return;
+        broadcast.dotNetRef.invokeMethodAsync('OnBroadcastRoleChanged', broadcast.role.live, broadcast.role.recording)
+            .catch(err => log.warn('BROADCAST-DIAG', 'Failed to notify UI of role change:', err));
+    }
+
+    /**
+     * Route a captured PCM16 chunk: straight to the hub, or through the Opus encoder
+     */
+    function handleCapturedChunk(bytes) {
+        measureInputLevel(bytes); // Keep metering during a break so the mic can be checked
+        appendBackupChunk(bytes);
+        if (broadcast.paused || broadcast.standby) return; // Not sent, so no sequence number is used up
+        if (!broadcast.encoder) {
+            sendBroadcastChunk(bytes);
+            return;
+        }
+        try {
+            const numberOfFrames = bytes.byteLength / 2 / broadcast.channels;
+            const audioData = new AudioData({
+                format: 's16', // Interleaved, same layout as the PCM16 chunks
+                sampleRate: broadcast.sampleRate,
+                numberOfFrames,
+                numberOfChannels: broadcast.channels,
+                timestamp: broadcast.encodeTimestampUs,
+                data: bytes
+            });
+            broadcast.encodeTimestampUs += Math.round(numberOfFrames / broadcast.sampleRate * 1e6);
+            broadcast.encoder.encode(audioData);
+            audioData.close();
+        } catch (err) {
+            log.error('BROADCAST-DIAG', 'Error encoding chunk:', err);
+        }
+    }
+
+    function resetInputLevel() {
+        broadcast.level = {
+            peak: 0, // Largest |sample| in the current report window
+            sumSquares: 0,
+            samples: 0,
+            clips: 0, // Clipped samples in the current report window
+            totalClips: 0,
+            windowStart: performance.now(),
+            silentSince: null // performance.now() when the input went quiet
+        };
+    }
+
+    /**
+     * Accumulate RMS, peak and clipping from a captured PCM16 chunk and report
+     * them to the broadcast page every levelReportIntervalMs. Runs before
+     * encoding, so it sees exactly what listeners will get.
+     */
+    function measureInputLevel(bytes) {
+        const level = broadcast.level;
+        if (!level) return;
+
+        const samples = new Int16Array(bytes.buffer, bytes.byteOffset, bytes.byteLength >> 1);
+        for (let i = 0; i < samples.length; i++) {
+            const v = samples[i];
+            const a = v < 0 ? -v : v;
+            if (a > level.peak) level.peak = a;
+            if (a >= clipSampleThreshold) level.clips++;
+            level.sumSquares += v * v;
+        }
+        level.samples += samples.length;
+
+        const now = performance.now();
+        if (now - level.windowStart < levelReportIntervalMs) return;
+
+        const toDb = (v) => v > 0 ? 20 * Math.log10(v / 32768) : -Infinity;
+        const rmsDb = toDb(Math.sqrt(level.sumSquares / Math.max(1, level.samples)));
+        const peakDb = toDb(level.peak);
+        if (rmsDb < silenceDbfs) {
+            if (level.silentSince === null) level.silentSince = now;
+        } else {
+            level.silentSince = null;
+        }
+        const silentForMs = level.silentSince === null ? 0 : now - level.silentSince;
+        level.totalClips += level.clips;
+
+        if (broadcast.dotNetRef) {
+            broadcast.dotNetRef.invokeMethodAsync('UpdateInputLevel', {
+                rmsDb: Math.max(-100, rmsDb), // JSON has no -Infinity
+                peakDb: Math.max(-100, peakDb),
+                clips: level.clips,
+                totalClips: level.totalClips,
+                silentForMs: Math.round(silentForMs),
+                silenceAlarm: silentForMs >= silenceAlarmMs
+            }).catch(err => log.warn('BROADCAST-DIAG', 'UpdateInputLevel failed:', err));
+        }
+        if (level.clips > 0) {
+            log.warn('BROADCAST-DIAG', `Input clipping: ${level.clips} samples (total ${level.totalClips})`);
+        }
 
-            // Re-join the listener group after reconnection
-            await handleReconnection();
+        level.peak = 0;
+        level.sumSquares = 0;
+        level.samples = 0;
+        level.clips = 0;
+        level.windowStart = now;
+    }
 
-            // Update UI
-            const statusEl = document.getElementById('streamStatus');
-            if (statusEl) {
-                statusEl.textContent = 'Connected';
-                statusEl.style.color = '#28a745';
+    /**
+     * Create a WebCodecs Opus encoder; each encoded packet is sent as one chunk.
+     * @returns {Promise<AudioEncoder|null>} null when Opus encoding is not supported
+     */
+    async function createOpusEncoder(sampleRate, channels, bitrate) {
+        if (typeof AudioEncoder === 'undefined') {
+            log.warn('BROADCAST-DIAG', 'WebCodecs AudioEncoder not supported, using PCM16');
+            return null;
+        }
+        const config = { codec: 'opus', sampleRate, numberOfChannels: channels, bitrate };
+        try {
+            const support = await AudioEncoder.isConfigSupported(config);
+            if (!support.supported) {
+                log.warn('BROADCAST-DIAG', 'Opus config not supported, using PCM16:', config);
+                return null;
             }
+        } catch (err) {
+            log.warn('BROADCAST-DIAG', 'Opus support check failed, using PCM16:', err);
+            return null;
+        }
+
+        const encoder = new AudioEncoder({
+            output: (chunk) => {
+                const bytes = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(bytes);
+                sendBroadcastChunk(bytes);
+            },
+            error: (err) => log.error('BROADCAST-DIAG', 'Opus encoder error:', err)
         });
+        encoder.configure(config);
+        log.info('BROADCAST-DIAG', `Opus encoder configured: ${sampleRate}Hz, ${channels}ch, ${bitrate} bit/s`);
+        return encoder;
+    }
+
+    /**
+     * Close the Opus encoder if one is active
+     */
+    function closeEncoder() {
+        if (broadcast.encoder) {
+            try {
+                if (broadcast.encoder.state !== 'closed') broadcast.encoder.close();
+            } catch {}
+            broadcast.encoder = null;
+        }
+    }
 
-        connection.onclose(async (error) => {
-            console.log('[SIGNALR] Connection closed', error?.message);
+    /**
+     * Build the AudioWorklet capture pipeline. PCM16 conversion and chunking
+     * happen on the audio thread; the page only forwards finished chunks.
+     * Used by the broadcaster and by listeners speaking after a raised hand.
+     * @param {function(Uint8Array)} onChunk - Receives each interleaved PCM16 chunk
+     */
+    async function createWorkletCapture(audioCtx, source, channels, onChunk) {
+        log.info('BROADCAST-DIAG', 'Loading capture worklet:', captureWorkletUrl);
+        await audioCtx.audioWorklet.addModule(captureWorkletUrl);
 
-            // Notify UI about disconnection
-            const statusEl = document.getElementById('streamStatus');
-            if (statusEl) {
-                statusEl.textContent = 'Disconnected';
-                statusEl.style.color = '#dc3545';
+        const node = new AudioWorkletNode(audioCtx, 'konf-pcm16-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            // Explicit count: a mono mic is up-mixed to L=R when stereo is requested
+            channelCount: channels,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'speakers',
+            processorOptions: { chunkSize: captureChunkSize, channels }
+        });
+        node.port.onmessage = (e) => {
+            if (e.data && e.data.type === 'chunk') {
+                onChunk(e.data.bytes);
             }
+        };
 
-            if (listen.dotNetRef) {
-                try {
-                    await listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'disconnected');
-                } catch (err) {
-                    console.warn('[SIGNALR] Failed to notify UI of disconnection:', err);
-                }
+        source.connect(node);
+        // Output is silent; connecting keeps the node pulled by the render graph
+        node.connect(audioCtx.destination);
+        log.info('BROADCAST-DIAG', `AudioWorklet capture created, chunk size: ${captureChunkSize} frames, ${channels}ch`);
+        return node;
+    }
+
+    /**
+     * Legacy capture pipeline for browsers without AudioWorklet support.
+     * Runs onaudioprocess on the main thread.
+     */
+    function createScriptProcessorCapture(audioCtx, source, channels, onChunk) {
+        const processor = audioCtx.createScriptProcessor(captureChunkSize, channels, channels);
+        processor.onaudioprocess = (e) => {
+            const planes = [];
+            for (let c = 0; c < channels; c++) {
+                // Mono input into a stereo processor: duplicate channel 0
+                planes.push(e.inputBuffer.getChannelData(Math.min(c, e.inputBuffer.numberOfChannels - 1)));
             }
-        });
+            onChunk(pcmFloatTo16BitPCM(interleave(planes)));
+        };
 
-        console.log('[SIGNALR] Reconnection handlers installed');
+        source.connect(processor);
+        processor.connect(audioCtx.destination);
+        log.info('BROADCAST-DIAG', `ScriptProcessor capture created, buffer size: ${captureChunkSize} frames, ${channels}ch`);
+        return processor;
     }
 
-    function pcmFloatTo16BitPCM(float32Array) {
-        const buffer = new ArrayBuffer(float32Array.length * 2);
-        const view = new DataView(buffer);
-        let offset = 0;
-        for (let i = 0; i < float32Array.length; i++, offset += 2) {
-            let s = Math.max(-1, Math.min(1, float32Array[i]));
-            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+    // Capture node for the context: AudioWorklet where supported, ScriptProcessor otherwise
+    async function createCapture(audioCtx, source, channels, onChunk) {
+        if (audioCtx.audioWorklet) {
+            return createWorkletCapture(audioCtx, source, channels, onChunk);
+        }
+        log.warn('BROADCAST-DIAG', 'audioWorklet unavailable, falling back to ScriptProcessorNode');
+        return createScriptProcessorCapture(audioCtx, source, channels, onChunk);
+    }
+
+    // Stop a capture node of either kind
+    function closeCaptureNode(processor) {
+        processor.disconnect();
+        if (processor.port) {
+            processor.port.postMessage({ type: 'stop' });
+            processor.port.onmessage = null;
+        } else {
+            processor.onaudioprocess = null;
         }
-        return new Uint8Array(buffer);
     }
 
     /**
-     * Schedule chunks for playback using AudioContext.currentTime
-     * This eliminates gaps by pre-scheduling chunks to play seamlessly
+     * Build getUserMedia audio constraints from the selected device and DSP flags.
+     * Browser voice processing (echo cancellation, noise suppression, AGC) is
+     * tuned for calls and audibly damages music; organizers can switch it off.
      */
-    function scheduleChunks() {
-        if (listen.queue.length === 0) return;
-        
-        ensureAudioContext(listen);
-        
-        // Initialize playback time on first chunk
-        if (listen.nextPlayTime === 0) {
-            // Start playing immediately (with small buffer for safety)
-            listen.nextPlayTime = listen.audioCtx.currentTime + 0.05;
-            console.log('[LISTEN-DIAG] Initializing playback, starting at:', listen.nextPlayTime);
+    function buildAudioConstraints() {
+        const constraints = {
+            echoCancellation: broadcast.processing.echoCancellation,
+            noiseSuppression: broadcast.processing.noiseSuppression,
+            autoGainControl: broadcast.processing.autoGainControl
+        };
+        if (broadcast.deviceId) constraints.deviceId = { exact: broadcast.deviceId };
+        if (broadcast.channels === 2) constraints.channelCount = { ideal: 2 };
+        return constraints;
+    }
+
+    /**
+     * Copy capture settings from startBroadcast/switchInputDevice arguments.
+     * Flags that are not given keep their current value.
+     */
+    function applyCaptureOptions(deviceId, processing) {
+        if (deviceId !== undefined) broadcast.deviceId = deviceId || null;
+        const p = processing || {};
+        for (const key of Object.keys(broadcast.processing)) {
+            if (typeof p[key] === 'boolean') broadcast.processing[key] = p[key];
         }
-        
-        // Schedule multiple chunks ahead to ensure seamless playback
-        // Process all available chunks in queue (up to reasonable limit)
-        let scheduled = 0;
-        const maxSchedulePerCall = 5; // Don't schedule too many at once
-        
-        while (listen.queue.length > 0 && scheduled < maxSchedulePerCall) {
-            const bytes = listen.queue.shift();
-            const queueLengthAfter = listen.queue.length;
-            
-            // Adaptive playback rate based on queue depth
-            const shouldSpeedUp = queueLengthAfter > listen.targetQueueSize;
-            listen.currentPlaybackRate = shouldSpeedUp ? listen.speedupRate : 1.0;
-            
-            // Update UI indicators
-            updateStreamQualityUI(queueLengthAfter, listen.currentPlaybackRate);
-            
-            try {
-                // Decode PCM16 to Float32
-                const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-                const samples = new Float32Array(bytes.byteLength / 2);
-                for (let i = 0, o = 0; i < bytes.byteLength; i += 2, o++) {
-                    const s = view.getInt16(i, true);
-                    samples[o] = s / 0x8000;
-                }
-                
-                // Create audio buffer
-                const buffer = listen.audioCtx.createBuffer(1, samples.length, listen.sampleRate);
-                buffer.getChannelData(0).set(samples);
-                
-                // Create buffer source
-                const src = listen.audioCtx.createBufferSource();
-                src.buffer = buffer;
-                src.playbackRate.value = listen.currentPlaybackRate;
-                src.connect(listen.audioCtx.destination);
-                
-                // Calculate chunk duration with adaptive speed
-                const chunkDurationSec = (samples.length / listen.sampleRate) / listen.currentPlaybackRate;
-                
-                // Schedule to play at precise time (seamless connection to previous chunk)
-                src.start(listen.nextPlayTime);
-                
-                listen.totalChunksScheduled++;
-                scheduled++;
-                
-                // Log periodically
-                if (listen.totalChunksScheduled % 50 === 0 || shouldSpeedUp) {
-                    const latency = (listen.nextPlayTime - listen.audioCtx.currentTime) * 1000;
-                    console.log(`[LISTEN-DIAG] Scheduled chunk #${listen.totalChunksScheduled}, queue: ${queueLengthAfter}, latency: ${latency.toFixed(0)}ms, speed: ${listen.currentPlaybackRate}x`);
-                }
-                
-                // Advance next play time
-                listen.nextPlayTime += chunkDurationSec;
-                
-                // Prevent scheduling too far in the future (drift correction)
-                const maxFutureTime = listen.audioCtx.currentTime + 2.0; // Max 2 seconds ahead
-                if (listen.nextPlayTime > maxFutureTime) {
-                    console.warn(`[LISTEN-DIAG] Playback scheduled too far ahead (${(listen.nextPlayTime - listen.audioCtx.currentTime).toFixed(2)}s), adjusting...`);
-                    listen.nextPlayTime = maxFutureTime;
-                }
-                
-            } catch (error) {
-                console.error('[scheduleChunks] ERROR processing chunk:', error);
-                // Continue with next chunk
-            }
+    }
+
+    /**
+     * Disconnect the capture node (either kind) and its media source.
+     */
+    function teardownCapture() {
+        if (broadcast.processor) {
+            closeCaptureNode(broadcast.processor);
+            broadcast.processor = null;
         }
-        
-        // If we're running low on scheduled audio, warn
-        const bufferedTime = listen.nextPlayTime - listen.audioCtx.currentTime;
-        if (bufferedTime < 0.1) {
-            console.warn('[LISTEN-DIAG] Audio buffer critically low! Buffered:', bufferedTime.toFixed(3), 's');
+        if (broadcast.source) {
+            broadcast.source.disconnect();
+            broadcast.source = null;
+        }
+        if (broadcast.speakerBus) {
+            broadcast.speakerBus.disconnect();
+            broadcast.speakerBus = null;
+        }
+        broadcast.speakers.clear();
+    }
+
+    /**
+     * Gain node that approved listeners' audio (raise hand) is played into. It feeds only
+     * the capture node, so speakers are part of the broadcast and the recording. Playing
+     * them on this device's speakers would put them back into the microphone.
+     */
+    function ensureSpeakerBus() {
+        if (!broadcast.speakerBus) {
+            const bus = broadcast.audioCtx.createGain();
+            bus.connect(broadcast.processor);
+            broadcast.speakerBus = bus;
+            applySpeakerMonitor();
+        }
+        return broadcast.speakerBus;
+    }
+
+    // Opt-in monitoring of approved listeners for a presenter wearing headphones
+    function applySpeakerMonitor() {
+        const bus = broadcast.speakerBus;
+        if (!bus) return;
+        try { bus.disconnect(broadcast.audioCtx.destination); } catch {} // Not connected
+        if (broadcast.monitorSpeakers) bus.connect(broadcast.audioCtx.destination);
+    }
+
+    /**
+     * Schedule a microphone chunk from an approved listener (ReceiveSpeakerAudio).
+     * Each speaker gets a small jitter buffer; late or drifting audio restarts it.
+     */
+    function playSpeakerChunk(cid, chunk) {
+        const ctx = broadcast.audioCtx;
+        if (!ctx || !broadcast.processor) return;
+        const { header, payload } = decodeChunk(chunkToBytes(chunk));
+        if (!header || payload.byteLength === 0) return;
+        const planes = pcm16ToPlanes(payload, header.channels);
+        const buffer = ctx.createBuffer(planes.length, planes[0].length, header.sampleRate);
+        planes.forEach((plane, c) => buffer.copyToChannel(plane, c));
+
+        let speaker = broadcast.speakers.get(cid);
+        if (!speaker) {
+            speaker = { nextPlayTime: 0 };
+            broadcast.speakers.set(cid, speaker);
+            log.info('BROADCAST-DIAG', `Speaker ${cid} started (${header.sampleRate}Hz)`);
+        }
+        const now = ctx.currentTime;
+        if (speaker.nextPlayTime < now || speaker.nextPlayTime > now + speakerMaxLeadMs / 1000) {
+            speaker.nextPlayTime = now + speakerJitterMs / 1000;
+        }
+        const src = ctx.createBufferSource();
+        src.buffer = buffer;
+        src.connect(ensureSpeakerBus());
+        src.start(speaker.nextPlayTime);
+        speaker.nextPlayTime += buffer.duration;
+    }
+
+    let backupDbPromise = null;
+
+    /**
+     * Open the IndexedDB database holding broadcaster backup recordings, creating it on first use.
+     * backupSessions has one record per broadcast; backupChunks holds its PCM16 chunks in capture order.
+     */
+    function openBackupDb() {
+        if (!backupDbPromise) {
+            backupDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(backupDbName, backupDbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('backupSessions')) {
+                        db.createObjectStore('backupSessions', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('backupChunks')) {
+                        db.createObjectStore('backupChunks', { autoIncrement: true }).createIndex('session', 'session');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            backupDbPromise.catch(() => { backupDbPromise = null; }); // Allow a retry
+        }
+        return backupDbPromise;
+    }
+
+    // Promise for an IndexedDB request result or transaction completion
+    function idbDone(target) {
+        return new Promise((resolve, reject) => {
+            if (typeof IDBTransaction !== 'undefined' && target instanceof IDBTransaction) {
+                target.oncomplete = () => resolve();
+                target.onerror = target.onabort = () => reject(target.error);
+            } else {
+                target.onsuccess = () => resolve(target.result);
+                target.onerror = () => reject(target.error);
+            }
+        });
+    }
+
+    async function putBackupSession(session) {
+        const db = await openBackupDb();
+        const tx = db.transaction('backupSessions', 'readwrite');
+        tx.objectStore('backupSessions').put(session);
+        await idbDone(tx);
+    }
+
+    /**
+     * Start keeping every captured chunk of this broadcast in IndexedDB. Chunks are
+     * taken before the pause check and the hub, so the backup has no reconnect gaps.
+     */
+    async function startBackupRecording() {
+        const session = {
+            id: `event-${broadcast.eventId}-${Date.now()}`,
+            eventId: broadcast.eventId,
+            track: broadcast.track,
+            startedAt: new Date().toISOString(),
+            sampleRate: broadcast.sampleRate,
+            channels: broadcast.channels,
+            bytes: 0,
+            uploadId: null, // Server upload in progress, resumed by uploadBackupRecording
+            replaceRecordingId: null,
+            recordingId: null // Set once uploaded
+        };
+        await putBackupSession(session);
+        broadcast.backup = {
+            session,
+            pending: [],
+            writing: Promise.resolve(),
+            flushTimer: setInterval(() => flushBackupChunks(broadcast.backup), backupFlushIntervalMs)
+        };
+        log.info('BROADCAST-DIAG', 'Backup recording started:', session.id);
+    }
+
+    function appendBackupChunk(bytes) {
+        if (broadcast.backup) broadcast.backup.pending.push(bytes);
+    }
+
+    /**
+     * Write pending chunks and the updated byte count in one transaction. Writes are
+     * chained so the session record is never updated out of order.
+     */
+    function flushBackupChunks(backup) {
+        if (!backup || backup.pending.length === 0) return backup ? backup.writing : Promise.resolve();
+        const chunks = backup.pending.splice(0);
+        backup.writing = backup.writing.then(async () => {
+            try {
+                const db = await openBackupDb();
+                const tx = db.transaction(['backupSessions', 'backupChunks'], 'readwrite');
+                const store = tx.objectStore('backupChunks');
+                let added = 0;
+                for (const bytes of chunks) {
+                    store.add({ session: backup.session.id, bytes });
+                    added += bytes.byteLength;
+                }
+                const session = { ...backup.session, bytes: backup.session.bytes + added };
+                tx.objectStore('backupSessions').put(session);
+                await idbDone(tx);
+                backup.session = session;
+            } catch (err) {
+                log.error('BROADCAST-DIAG', 'Backup recording write failed:', err);
+                if (err?.name === 'QuotaExceededError' && broadcast.backup === backup) {
+                    // Browser storage is full: keep what was saved and stop recording
+                    clearInterval(backup.flushTimer);
+                    broadcast.backup = null;
+                    broadcast.dotNetRef?.invokeMethodAsync('OnBackupRecordingFailed', 'Browser storage is full; the backup recording was stopped.').catch(() => {});
+                }
+            }
+        });
+        return backup.writing;
+    }
+
+    async function finishBackupRecording() {
+        const backup = broadcast.backup;
+        if (!backup) return;
+        clearInterval(backup.flushTimer);
+        await flushBackupChunks(backup);
+        broadcast.backup = null;
+        log.info('BROADCAST-DIAG', `Backup recording finished: ${backup.session.id}, ${backup.session.bytes} bytes`);
+    }
+
+    /**
+     * Load a backup recording as a WAV Blob. Chunks are gathered into intermediate
+     * Blobs so long recordings need not be held as one array.
+     * @returns {Promise<{ session: Object, blob: Blob }>}
+     */
+    async function readBackupRecording(id) {
+        const db = await openBackupDb();
+        const tx = db.transaction(['backupSessions', 'backupChunks'], 'readonly');
+        const sessionRequest = tx.objectStore('backupSessions').get(id);
+        const parts = [];
+        let batch = [];
+        const cursorRequest = tx.objectStore('backupChunks').index('session').openCursor(IDBKeyRange.only(id));
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            batch.push(cursor.value.bytes);
+            if (batch.length >= 256) {
+                parts.push(new Blob(batch));
+                batch = [];
+            }
+            cursor.continue();
+        };
+        await idbDone(tx);
+        if (batch.length > 0) parts.push(new Blob(batch));
+        const session = sessionRequest.result;
+        if (!session) throw new Error(`Backup recording ${id} not found`);
+        return { session, blob: encodeWav(parts, session.sampleRate, session.channels) };
+    }
+
+    function describeBackupSession(session) {
+        return {
+            id: session.id,
+            eventId: session.eventId,
+            track: session.track || '',
+            startedAt: session.startedAt,
+            bytes: session.bytes,
+            durationSeconds: Math.floor(session.bytes / (session.sampleRate * session.channels * 2)),
+            sampleRate: session.sampleRate,
+            channels: session.channels,
+            recording: broadcast.backup?.session.id === session.id,
+            uploadId: session.uploadId,
+            recordingId: session.recordingId
+        };
+    }
+
+    /**
+     * fetch() JSON from the backup upload endpoints. Rejects with the server's
+     * message on an error status (409 is returned, it carries receivedBytes).
+     */
+    async function backupUploadRequest(url, init) {
+        const response = await fetch(url, { credentials: 'same-origin', ...init });
+        if (response.ok || response.status === 409) {
+            return { status: response.status, body: response.status === 204 ? null : await response.json() };
+        }
+        const message = await response.text().catch(() => '');
+        const error = new Error(`Upload request failed (${response.status})${message ? ': ' + message : ''}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    /**
+     * Streaming WSOLA (Waveform Similarity Overlap-Add) time-stretcher.
+     * Changes tempo without changing pitch, unlike AudioBufferSourceNode.playbackRate.
+     * Keeps a short input tail between calls so chunk boundaries stay continuous.
+     * Frame positions are chosen on channel 0 and applied to every channel,
+     * so stereo images stay aligned.
+     * @param {number} sampleRate - Rate of the samples it will process
+     * @param {number} channels - Number of planar channels
+     */
+    function createTimeStretcher(sampleRate, channels) {
+        const frameLen = Math.round(sampleRate * 0.02) & ~1; // 20ms analysis frame (even)
+        const hop = frameLen / 2; // 50% overlap synthesis hop
+        const seek = Math.round(sampleRate * 0.006); // +/- 6ms similarity search
+        const corrStep = 4; // Decimate correlation to keep CPU low on phones
+        const window = new Float32Array(frameLen);
+        for (let i = 0; i < frameLen; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameLen); // Periodic Hann sums to 1 at 50% overlap
+        }
+
+        let inputs = Array.from({ length: channels }, () => new Float32Array(0));
+        const tails = Array.from({ length: channels }, () => new Float32Array(hop)); // Second half of previous windowed frame
+        let started = false;
+        let prevPos = 0; // Input position of the last frame used
+        let analysisPos = 0; // Ideal (unaligned) input position of the next frame
+
+        function bestOffset(pos, natural) {
+            const input = inputs[0];
+            let best = 0;
+            let bestCorr = -Infinity;
+            for (let d = -seek; d <= seek; d++) {
+                const start = pos + d;
+                if (start < 0) continue;
+                let corr = 0;
+                for (let i = 0; i < frameLen; i += corrStep) {
+                    corr += input[start + i] * input[natural + i];
+                }
+                if (corr > bestCorr) {
+                    bestCorr = corr;
+                    best = d;
+                }
+            }
+            return best;
+        }
+
+        return {
+            sampleRate,
+            channels,
+            /**
+             * Feed samples, get time-stretched output (length ~ input length / rate)
+             * @param {Float32Array[]} planes - One array per channel, equal lengths
+             * @param {number} rate - Tempo factor (1.0 = unchanged, >1 = faster)
+             * @returns {Float32Array[]} Stretched planes
+             */
+            process(planes, rate) {
+                inputs = inputs.map((input, c) => {
+                    const merged = new Float32Array(input.length + planes[c].length);
+                    merged.set(input);
+                    merged.set(planes[c], input.length);
+                    return merged;
+                });
+                const available = inputs[0].length;
+
+                const pieces = [];
+                while (true) {
+                    const natural = prevPos + hop;
+                    let pos;
+                    let search = false;
+                    if (!started) {
+                        pos = 0;
+                    } else if (rate === 1.0) {
+                        pos = natural; // Exact continuation: identity output
+                    } else {
+                        pos = Math.round(analysisPos);
+                        search = true;
+                    }
+
+                    const needed = Math.max(pos + (search ? seek : 0), started ? natural : 0) + frameLen;
+                    if (needed > available) break;
+
+                    if (search) pos += bestOffset(pos, natural);
+
+                    const outs = [];
+                    for (let c = 0; c < channels; c++) {
+                        const input = inputs[c];
+                        const tail = tails[c];
+                        const out = new Float32Array(hop);
+                        for (let i = 0; i < hop; i++) {
+                            out[i] = tail[i] + input[pos + i] * window[i];
+                            tail[i] = input[pos + hop + i] * window[hop + i];
+                        }
+                        outs.push(out);
+                    }
+                    pieces.push(outs);
+
+                    analysisPos = rate === 1.0 || !started ? pos + hop : analysisPos + hop * rate;
+                    prevPos = pos;
+                    started = true;
+                }
+
+                // Drop consumed input, keeping what the next frame and search may still read
+                const keepFrom = Math.max(0, Math.min(prevPos + hop, Math.floor(analysisPos)) - seek);
+                if (keepFrom > 0) {
+                    inputs = inputs.map(input => input.slice(keepFrom));
+                    prevPos -= keepFrom;
+                    analysisPos -= keepFrom;
+                }
+
+                return Array.from({ length: channels }, (_, c) => {
+                    const result = new Float32Array(pieces.length * hop);
+                    pieces.forEach((outs, i) => result.set(outs[c], i * hop));
+                    return result;
+                });
+            }
+        };
+    }
+
+    /**
+     * Root-mean-square level of a block of samples
+     */
+    function computeRms(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return samples.length ? Math.sqrt(sum / samples.length) : 0;
+    }
+
+    /**
+     * Ramp the start of the first chunk after a gap in from silence (in place)
+     */
+    function applyFadeIn(planes, sampleRate) {
+        const rampLen = Math.min(planes[0].length, Math.round(sampleRate * fadeInMs / 1000));
+        for (const plane of planes) {
+            for (let i = 0; i < rampLen; i++) {
+                plane[i] *= i / rampLen;
+            }
+        }
+        return planes;
+    }
+
+    /**
+     * Decode a PCM16 little-endian chunk to Float32 samples (interleaved if multi-channel)
+     */
+    function pcm16ToFloat32(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const samples = new Float32Array(bytes.byteLength / 2);
+        for (let i = 0, o = 0; i < bytes.byteLength; i += 2, o++) {
+            const s = view.getInt16(i, true);
+            samples[o] = s / 0x8000;
+        }
+        return samples;
+    }
+
+    /**
+     * Decode an interleaved PCM16 chunk into one Float32Array per channel
+     */
+    function pcm16ToPlanes(bytes, channels) {
+        const interleaved = pcm16ToFloat32(bytes);
+        if (channels === 1) return [interleaved];
+        const frames = Math.floor(interleaved.length / channels);
+        const planes = Array.from({ length: channels }, () => new Float32Array(frames));
+        for (let f = 0, i = 0; f < frames; f++) {
+            for (let c = 0; c < channels; c++, i++) {
+                planes[c][f] = interleaved[i];
+            }
+        }
+        return planes;
+    }
+
+    function collectBroadcastStats() {
+        return {
+            connectionState: broadcast.connection ? broadcast.connection.state : 'Disconnected',
+            active: !!broadcast.processor,
+            codec: broadcast.codec,
+            channels: broadcast.channels,
+            sampleRate: broadcast.sampleRate,
+            paused: broadcast.paused,
+            chunksSent: broadcast.chunksSent,
+            backlogChunks: broadcast.backlog.length,
+            backlogDropped: broadcast.backlogDropped
+        };
+    }
+
+    function collectStats() {
+        return {
+            listen: defaultListener.getStats(),
+            broadcast: broadcast.connection || broadcast.chunksSent > 0 ? collectBroadcastStats() : null
+        };
+    }
+
+    /**
+     * Create an independent listener session with its own hub connection, queue,
+     * jitter buffer, decoder, output chain, wake lock and stats. Several sessions
+     * can run side by side (e.g. monitoring parallel rooms). startListening /
+     * stopListening drive a default session created when the module loads.
+     * @param {Object} [options]
+     * @param {string} [options.label] - Name shown in stats and the diagnostic bundle
+     * @param {?string} [options.settingsKey] - localStorage key for volume/enhancement;
+     *   defaults to the shared listener key, null disables persistence
+     * @param {AudioContext} [options.audioContext] - Context to share with other sessions
+     *   (otherwise the session creates its own on start)
+     * @param {number} [options.historyMs] - Time-shift window (default 15 minutes)
+     * @param {number} [options.historyMaxBytes] - Memory cap for the time-shift history
+     * @param {number} [options.startSecondsBack] - Backlog requested on join (default 5, 0 = live only)
+     */
+    function createListenerSession(options) {
+        const opts = options || {};
+        const label = opts.label || `listener-${++listenerSessionCounter}`;
+        const settingsKey = opts.settingsKey === undefined ? listenerSettingsKey : opts.settingsKey;
+        const ownsAudioContext = !opts.audioContext;
+        const events = new EventTarget(); // 'playbackstate', see emitPlaybackState
+
+        const listen = {
+            connection: null,
+            audioCtx: opts.audioContext || null,
+            queue: [],
+            playing: false,
+            source: null,
+            sampleRate: 44100, // Will be updated from broadcaster
+            codec: 'pcm16', // 'pcm16' or 'opus', announced by the hub
+            decoder: null, // WebCodecs AudioDecoder (Opus mode only)
+            decoderTimestamp: 0, // Monotonic timestamp for EncodedAudioChunk
+            eventId: null,
+            slug: null,
+            token: null,
+            dotNetRef: null,
+            hubUrl: null, // Store for reconnection
+            nextPlayTime: 0, // Next scheduled playback time in AudioContext time
+            totalChunksReceived: 0,
+            totalChunksPlayed: 0,
+            totalChunksDropped: 0,
+            totalChunksScheduled: 0,
+            totalUnderruns: 0, // Times playback ran dry while audio was still arriving
+            statsTimer: null, // Interval for periodic stats reporting
+            lastSessionStats: null, // Snapshot taken by stopListening before counters reset
+            // Adaptive jitter buffer (latency measured in ms, not chunk count)
+            minTargetLatencyMs: 250, // Lowest latency we aim for on a perfect network
+            maxTargetLatencyMs: 2000, // Upper bound for the adaptive target
+            jitterMultiplier: 3, // Target = mean chunk interval + jitterMultiplier * jitter
+            hardLatencyCapMs: 6000, // Last resort: discard audio beyond this latency
+            catchUpRate: 1.15, // Tempo while catching up (pitch preserved by time-stretch)
+            catchUpDeadbandMs: 150, // Start catching up only this far above target
+            silenceRms: 0.01, // Chunks below this RMS count as silence (discarded first)
+            meanIntervalMs: 0, // EWMA of chunk inter-arrival time
+            jitterMs: 0, // EWMA of inter-arrival deviation (RFC 3550 style)
+            lastArrivalTime: 0, // performance.now() of previous chunk
+            targetLatencyMs: 250, // Current adaptive target
+            currentLatencyMs: 0, // Scheduled-ahead + queued audio
+            currentPlaybackRate: 1.0, // Current tempo (1.0 or catchUpRate)
+            stretcher: null, // WSOLA time-stretcher for pitch-preserving catch-up
+            totalSilenceDropped: 0, // Silent chunks discarded to reduce latency
+            streamId: null, // Stream id from the last accepted chunk header
+            lastSeq: -1, // Sequence number of the last accepted chunk
+            totalChunksLost: 0, // Chunks missing according to sequence gaps
+            totalChunksDiscarded: 0, // Duplicate / out-of-order chunks ignored
+            channels: 1, // Announced channel count (chunk headers override per chunk)
+            lastSamples: null, // Last scheduled planes, source for loss concealment
+            decoderGaps: new Map(), // Opus: EncodedAudioChunk timestamp -> chunks lost before it
+            decoderCaptureTimes: new Map(), // Opus: EncodedAudioChunk timestamp -> capture time (time-shift position)
+            decoderSourceSwitches: new Set(), // Opus: EncodedAudioChunk timestamps that start another broadcaster's audio
+            paused: false, // Broadcaster is on a break (StreamPaused); an empty buffer is expected
+            master: null, // Output chain shared by all scheduled sources, see ensureMasterChain
+            sourceBus: null, // Gain node sources connect to; replaced on a broadcaster switch, see beginSourceCrossfade
+            settings: loadListenerSettings(settingsKey), // { volume, muted, compressor, voiceEq }
+            schedulerTimer: null, // Timer for continuous scheduling
+            wakeLock: null, // Screen Wake Lock to prevent device sleep
+            visibilityHandler: null, // Page visibility change handler
+            reconnecting: false, // Flag to prevent duplicate reconnection attempts
+            connectionStatus: 'connected', // 'connected' | 'reconnecting' | 'disconnected'
+            lastPlaybackState: null, // Last emitted state name
+            lastPlaybackStateTime: 0, // performance.now() of last emit
+            // Time-shift. 'live' is the adaptive scheduler above; 'timeshift' feeds the
+            // queue from history at timeShiftRate; 'held' is the listener's own pause.
+            mode: 'live',
+            history: [], // Received chunks (same shape as queue items), oldest first
+            historyBytes: 0,
+            historyMaxMs: opts.historyMs > 0 ? opts.historyMs : defaultHistoryMs,
+            historyMaxBytes: opts.historyMaxBytes > 0 ? opts.historyMaxBytes : defaultHistoryMaxBytes,
+            historyCursor: 0, // 'timeshift': index of the next history chunk to queue
+            timeShiftRate: 1.0, // Tempo while time-shifted (1.0 - maxTimeShiftRate)
+            heldAtMs: null, // 'held': capture time playback stopped at
+            fadeInNext: false, // Fade in the first buffer after a seek
+            catchingUpBacklog: false, // Time-shifted by a join backlog: play at least catchUpRate until live
+            track: '', // Audio track listened to: '' = floor, otherwise an interpretation channel (switchTrack)
+            // Join backlog (JoinListener startSecondsBack)
+            startSecondsBack: opts.startSecondsBack >= 0 ? opts.startSecondsBack : defaultStartSecondsBack,
+            joinPending: false, // Live chunks are held back until the backlog has been taken in
+            pendingChunks: [],
+            connectionLostAt: 0, // performance.now() when the hub connection dropped (re-join backlog length)
+            allowRecording: false, // Event permits local recording (from JoinListener)
+            localRecording: null, // Active local recording, see startLocalRecording
+            captions: [], // { startMs, endMs, text, arrivedLateAt } in capture time, ordered by startMs
+            captionText: '', // Text currently shown (lines joined with \n)
+            hand: 'none', // Raise hand: 'none' | 'raised' | 'speaking' (approved by an organizer)
+            uplink: null, // Microphone capture while speaking: { stream, source, processor, streamId, sequence, channels, sampleRate }
+            displayName: null, // Name shown to organizers (setDisplayName); null = account name or "Guest"
+            backgroundPlayback: opts.backgroundPlayback !== false, // Play through an <audio> element (see connectOutput)
+            output: null, // Keep-alive output: { destination, element, volume }; null = straight to ctx.destination
+            media: null, // Media Session info from start: { title, organizer, artwork }
+            mediaSessionActive: false, // This session owns navigator.mediaSession
+            removedReason: null, // 'kicked' | 'revoked' once an organizer removed this listener (no reconnecting)
+            lastCaptionUpdate: 0, // performance.now() of the last updateCaptions pass
+            scheduled: [] // { src, startTime, endTime, captureTimeMs, rate } not yet finished playing
+        };
+
+        function saveListenerSettings() {
+            if (!settingsKey) return;
+            try {
+                localStorage.setItem(settingsKey, JSON.stringify(listen.settings));
+            } catch (err) {
+                log.warn('LISTEN-DIAG', 'Could not persist listener settings:', err);
+            }
+        }
+
+        /**
+         * Build (once per AudioContext) the master output chain every scheduled
+         * source connects to:
+         *   input -> [voice EQ] -> [compressor] -> volume -> destination
+         * Sources come and go every chunk; the chain stays, so volume and
+         * enhancement changes apply immediately and without clicks.
+         * @returns {AudioNode} Node that sources should connect to
+         */
+        function ensureMasterChain() {
+            const ctx = listen.audioCtx;
+            if (listen.master && listen.master.ctx === ctx) return listen.master.input;
+
+            const input = ctx.createGain();
+            // Voice clarity: cut rumble below speech, lift the presence band
+            const highpass = ctx.createBiquadFilter();
+            highpass.type = 'highpass';
+            highpass.frequency.value = 120;
+            const presence = ctx.createBiquadFilter();
+            presence.type = 'peaking';
+            presence.frequency.value = 3000;
+            presence.Q.value = 1.0;
+            presence.gain.value = 4;
+            highpass.connect(presence);
+            // Levels quiet and loud speakers; make-up gain compensates the reduction
+            const compressor = ctx.createDynamicsCompressor();
+            compressor.threshold.value = -30;
+            compressor.knee.value = 12;
+            compressor.ratio.value = 6;
+            compressor.attack.value = 0.005;
+            compressor.release.value = 0.25;
+            const makeup = ctx.createGain();
+            makeup.gain.value = 2.0;
+            compressor.connect(makeup);
+            const volume = ctx.createGain();
+            connectOutput(volume);
+
+            listen.master = { ctx, input, highpass, presence, compressor, makeup, volume };
+            routeMasterChain();
+            applyListenerVolume();
+            return input;
+        }
+
+        /**
+         * Connect the end of the master chain to the speakers. Phones stop a page's
+         * AudioContext output when the screen locks, but keep a playing media element
+         * going, so by default the audio goes through a MediaStreamAudioDestinationNode
+         * into a hidden <audio> element (started by playOutput).
+         */
+        function connectOutput(volume) {
+            const ctx = listen.audioCtx;
+            if (!listen.backgroundPlayback || typeof ctx.createMediaStreamDestination !== 'function') {
+                volume.connect(ctx.destination);
+                return;
+            }
+            if (listen.output) {
+                // Master chain rebuilt for a new AudioContext: drop the old element
+                listen.output.element.pause();
+                listen.output.element.srcObject = null;
+            }
+            const destination = ctx.createMediaStreamDestination();
+            const element = document.createElement('audio');
+            element.setAttribute('playsinline', ''); // iOS: no fullscreen player
+            element.srcObject = destination.stream;
+            volume.connect(destination);
+            listen.output = { destination, element, volume };
+        }
+
+        /**
+         * Rebuild the keep-alive output on a cached master chain whose element was refused
+         * (releaseOutput), so each start tries background playback again.
+         */
+        function ensureOutput() {
+            const m = listen.master;
+            if (!listen.backgroundPlayback || listen.output || !m) return;
+            try { m.volume.disconnect(listen.audioCtx.destination); } catch {}
+            connectOutput(m.volume);
+        }
+
+        /**
+         * Start the keep-alive element. Needs user activation (call from start); when the
+         * browser refuses, the chain is moved to ctx.destination so audio still plays in
+         * the foreground.
+         */
+        async function playOutput() {
+            const output = listen.output;
+            if (!output || !output.element.paused) return;
+            try {
+                await output.element.play();
+                log.info('LISTEN-DIAG', 'Playing through the background playback element');
+            } catch (err) {
+                log.warn('LISTEN-DIAG', 'Background playback element refused to play, using the AudioContext output:', err?.message);
+                releaseOutput();
+            }
+        }
+
+        // Back to plain AudioContext output (refused element, or the session is closed)
+        function releaseOutput() {
+            const output = listen.output;
+            if (!output) return;
+            listen.output = null;
+            output.element.pause();
+            output.element.srcObject = null;
+            try { output.volume.disconnect(output.destination); } catch {}
+            if (listen.master && listen.master.volume === output.volume) {
+                output.volume.connect(listen.audioCtx.destination);
+            }
+        }
+
+        /**
+         * Lock screen and notification controls: event title, organizer and artwork,
+         * with play/pause/stop wired to this session. The page has one Media Session,
+         * so the session started last owns it.
+         */
+        function registerMediaSession() {
+            if (!('mediaSession' in navigator) || !listen.media) return;
+            for (const other of listenerSessions) {
+                if (other !== session) other.releaseMediaSession();
+            }
+            listen.mediaSessionActive = true;
+            applyMediaMetadata();
+            const handlers = {
+                play: () => {
+                    if (listen.audioCtx && listen.audioCtx.state === 'suspended') listen.audioCtx.resume().catch(() => {});
+                    playOutput();
+                    session.resume();
+                },
+                pause: () => session.pause(),
+                stop: async () => {
+                    const dotNetRef = listen.dotNetRef; // Cleared by stop
+                    await session.stop();
+                    if (dotNetRef) {
+                        dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'stopped')
+                            .catch(err => log.warn('LISTEN-DIAG', 'Failed to notify UI of stop:', err));
+                    }
+                }
+            };
+            for (const [action, handler] of Object.entries(handlers)) {
+                try {
+                    navigator.mediaSession.setActionHandler(action, handler);
+                } catch {
+                    log.debug('LISTEN-DIAG', `Media Session action '${action}' not supported`);
+                }
+            }
+            updateMediaSessionState('normal');
+        }
+
+        // Metadata for the current event and track
+        function applyMediaMetadata() {
+            if (!listen.mediaSessionActive || typeof MediaMetadata === 'undefined') return;
+            const media = listen.media;
+            const artwork = typeof media.artwork === 'string' ? [{ src: media.artwork }] : (media.artwork || []);
+            try {
+                navigator.mediaSession.metadata = new MediaMetadata({
+                    title: media.title || 'Live stream',
+                    artist: media.organizer || '',
+                    album: listen.track || '', // Interpretation channel; empty for the floor
+                    artwork
+                });
+            } catch (err) {
+                log.warn('LISTEN-DIAG', 'Could not set Media Session metadata:', err?.message);
+            }
+        }
+
+        // Lock screen shows pause while playing, play while held
+        function updateMediaSessionState(state) {
+            if (!listen.mediaSessionActive) return;
+            navigator.mediaSession.playbackState = state === 'held' ? 'paused' : 'playing';
+        }
+
+        function clearMediaSession() {
+            if (!listen.mediaSessionActive) return;
+            listen.mediaSessionActive = false;
+            for (const action of ['play', 'pause', 'stop']) {
+                try { navigator.mediaSession.setActionHandler(action, null); } catch {}
+            }
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+        }
+
+        /**
+         * (Re)connect the optional stages according to listen.settings
+         */
+        function routeMasterChain() {
+            const m = listen.master;
+            if (!m) return;
+            m.input.disconnect();
+            m.presence.disconnect();
+            m.makeup.disconnect();
+
+            let tail = m.input;
+            if (listen.settings.voiceEq) {
+                tail.connect(m.highpass);
+                tail = m.presence;
+            }
+            if (listen.settings.compressor) {
+                tail.connect(m.compressor);
+                tail = m.makeup;
+            }
+            tail.connect(m.volume);
+            // disconnect() above also dropped the local recording tap
+            if (listen.localRecording && listen.localRecording.destination) m.input.connect(listen.localRecording.destination);
+            log.info('LISTEN-DIAG', `Output chain: voiceEq=${listen.settings.voiceEq}, compressor=${listen.settings.compressor}`);
+        }
+
+        /**
+         * Node scheduled sources connect to (feeds the master chain). Each broadcaster's
+         * audio gets its own bus so a handoff can fade one out while the next fades in.
+         */
+        function ensureSourceBus() {
+            const input = ensureMasterChain();
+            if (!listen.sourceBus || listen.sourceBus.context !== listen.audioCtx) {
+                listen.sourceBus = listen.audioCtx.createGain();
+                listen.sourceBus.connect(input);
+            }
+            return listen.sourceBus;
+        }
+
+        /**
+         * The stream switched to another broadcaster (presenter handoff): start the new
+         * audio sourceCrossfadeMs before the old one ends and crossfade the two buses.
+         * If nothing is left playing, the new audio just fades in.
+         */
+        function beginSourceCrossfade() {
+            const ctx = listen.audioCtx;
+            const old = ensureSourceBus();
+            listen.sourceBus = null;
+            const bus = ensureSourceBus();
+            listen.lastSamples = null; // Never conceal the new broadcaster with the old one's audio
+
+            const fadeSec = sourceCrossfadeMs / 1000;
+            const oldEnd = listen.nextPlayTime;
+            if (oldEnd - ctx.currentTime > fadeSec) {
+                const start = oldEnd - fadeSec;
+                old.gain.setValueAtTime(1, start);
+                old.gain.linearRampToValueAtTime(0, oldEnd);
+                bus.gain.setValueAtTime(0, start);
+                bus.gain.linearRampToValueAtTime(1, oldEnd);
+                listen.nextPlayTime = start;
+                log.info('LISTEN-DIAG', `Broadcaster switched, crossfading over ${sourceCrossfadeMs}ms`);
+            } else {
+                listen.fadeInNext = true;
+            }
+            // Old sources end by oldEnd; the bus can go after that
+            setTimeout(() => old.disconnect(), Math.max(0, oldEnd - ctx.currentTime) * 1000 + 500);
+        }
+
+        function applyListenerVolume() {
+            const m = listen.master;
+            if (!m) return;
+            // While speaking, the listener's own voice comes back delayed through the stream
+            const duck = listen.hand === 'speaking' ? speakerDuckGain : 1;
+            const target = listen.settings.muted ? 0 : listen.settings.volume * duck;
+            m.volume.gain.setTargetAtTime(target, m.ctx.currentTime, 0.02); // ~20ms ramp avoids zipper noise
+        }
+
+        /**
+         * Release the wake lock when stopping listening
+         */
+        async function releaseWakeLock() {
+            if (listen.wakeLock) {
+                try {
+                    await listen.wakeLock.release();
+                    log.info('WAKE-LOCK', 'Wake lock released');
+                } catch (err) {
+                    log.warn('WAKE-LOCK', 'Error releasing wake lock:', err.message);
+                }
+                listen.wakeLock = null;
+            }
+        }
+
+        /**
+         * Handle page visibility changes (mobile browser going to background)
+         * Re-acquires wake lock and resumes AudioContext when page becomes visible
+         */
+        function setupVisibilityHandler() {
+            if (listen.visibilityHandler) {
+                document.removeEventListener('visibilitychange', listen.visibilityHandler);
+            }
+
+            listen.visibilityHandler = async () => {
+                if (document.visibilityState === 'visible') {
+                    log.info('VISIBILITY', 'Page became visible');
+
+                    // Re-acquire wake lock (it's released when page goes to background)
+                    if (!listen.wakeLock && listen.connection) {
+                        listen.wakeLock = await requestWakeLock();
+                    }
+
+                    // Resume AudioContext if it was suspended
+                    const wasSuspended = listen.audioCtx && listen.audioCtx.state === 'suspended';
+                    if (wasSuspended) {
+                        log.info('VISIBILITY', 'Resuming suspended AudioContext...');
+                        try {
+                            await listen.audioCtx.resume();
+                            log.info('VISIBILITY', 'AudioContext resumed, state:', listen.audioCtx.state);
+                        } catch (err) {
+                            log.error('VISIBILITY', 'Failed to resume AudioContext:', err);
+                        }
+                    }
+
+                    // Check SignalR connection state and reconnect if needed
+                    if (listen.connection && listen.connection.state === 'Disconnected') {
+                        log.info('VISIBILITY', 'SignalR disconnected, attempting reconnection...');
+                        await handleReconnection();
+                    }
+
+                    // Reset playback timing to avoid audio gaps after resuming. Not needed
+                    // when the background playback element kept the context running.
+                    if (wasSuspended && listen.queue.length > 0) {
+                        listen.nextPlayTime = listen.audioCtx.currentTime + 0.05;
+                        log.info('VISIBILITY', 'Reset playback timing, queue depth:', listen.queue.length);
+                    }
+                } else {
+                    log.info('VISIBILITY', 'Page hidden (background)');
+                    // Wake lock will be auto-released by the browser
+                }
+            };
+
+            document.addEventListener('visibilitychange', listen.visibilityHandler);
+            log.info('VISIBILITY', 'Visibility change handler installed');
+        }
+
+        /**
+         * Remove visibility handler on cleanup
+         */
+        function removeVisibilityHandler() {
+            if (listen.visibilityHandler) {
+                document.removeEventListener('visibilitychange', listen.visibilityHandler);
+                listen.visibilityHandler = null;
+                log.info('VISIBILITY', 'Visibility change handler removed');
+            }
+        }
+
+        /**
+         * Handle SignalR reconnection - re-join listener group after connection restored
+         */
+        async function handleReconnection() {
+            if (listen.reconnecting) {
+                log.info('RECONNECT', 'Already attempting reconnection, skipping...');
+                return;
+            }
+
+            if (!listen.eventId || !listen.slug) {
+                log.info('RECONNECT', 'No event info stored, cannot reconnect');
+                return;
+            }
+
+            if (listen.removedReason) {
+                log.info('RECONNECT', `Removed by an organizer (${listen.removedReason}), not reconnecting`);
+                return;
+            }
+
+            listen.reconnecting = true;
+
+            try {
+                // If connection is fully disconnected, we need to restart it
+                if (listen.connection.state === 'Disconnected') {
+                    log.info('RECONNECT', 'Connection is disconnected, starting...');
+                    await listen.connection.start();
+                    log.info('RECONNECT', 'Connection restarted');
+                }
+
+                // Re-join the listener group, asking for the audio broadcast while we were away.
+                // Anything older than the hub's buffer still shows up as a sequence gap (concealed).
+                const secondsBack = listen.connectionLostAt ? Math.ceil((performance.now() - listen.connectionLostAt) / 1000) + 1 : 0;
+                listen.connectionLostAt = 0;
+                log.info('RECONNECT', `Re-joining listener group for event ${listen.eventId} (${secondsBack}s back)`);
+                const { ok, sampleRate, codec, channels, paused, backlog, banned } = await joinListenerGroup(secondsBack, listen.sampleRate); // Keep existing rate if absent
+
+                if (banned) {
+                    listen.reconnecting = false;
+                    await endByServer('revoked'); // Banned while we were away
+                    return;
+                }
+                if (ok) {
+                    if (sampleRate && sampleRate > 0) {
+                        listen.sampleRate = sampleRate;
+                    }
+                    applyStreamFormat(codec, channels);
+                    setListenPaused(paused); // Pause/resume may have happened while we were away
+                    takeBacklog(backlog);
+                    log.info('RECONNECT', 'Successfully re-joined listener group');
+
+                    // Notify UI that we're reconnected
+                    if (listen.dotNetRef) {
+                        try {
+                            await listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'reconnected');
+                        } catch (err) {
+                            log.warn('RECONNECT', 'Failed to notify UI:', err);
+                        }
+                    }
+                } else {
+                    log.error('RECONNECT', 'Failed to re-join listener group');
+                }
+            } catch (err) {
+                log.error('RECONNECT', 'Error during reconnection:', err);
+            } finally {
+                listen.reconnecting = false;
+            }
+        }
+
+        /**
+         * The hub removed this listener: an organizer's KickListener or BanListener, or a
+         * banned re-join. Stop like leaving (the local recording is saved) but without the
+         * reconnect path, then tell the page with OnStreamStateChanged('kicked' | 'revoked').
+         */
+        async function endByServer(reason) {
+            if (listen.removedReason) return;
+            log.warn('LISTEN-DIAG', `Removed from the event by an organizer: ${reason}`);
+            listen.removedReason = reason;
+            const dotNetRef = listen.dotNetRef; // Cleared by stop
+            await session.stop();
+            if (dotNetRef) {
+                dotNetRef.invokeMethodAsync('OnStreamStateChanged', reason)
+                    .catch(err => log.warn('LISTEN-DIAG', 'Failed to notify UI of removal:', err));
+            }
+        }
+
+        /**
+         * Setup SignalR reconnection event handlers
+         */
+        function setupReconnectionHandlers(connection) {
+            connection.onreconnecting((error) => {
+                log.info('SIGNALR', 'Connection lost, attempting to reconnect...', error?.message);
+                endHand(); // The hub forgets the raised hand with the old connection
+                listen.connectionLostAt = listen.connectionLostAt || performance.now();
+                listen.connectionStatus = 'reconnecting';
+                emitPlaybackState(true);
+            });
+
+            connection.onreconnected(async (connectionId) => {
+                log.info('SIGNALR', 'Reconnected with connectionId:', connectionId);
+
+                // Re-join the listener group after reconnection
+                await handleReconnection();
+
+                listen.connectionStatus = 'connected';
+                emitPlaybackState(true);
+            });
+
+            connection.onclose(async (error) => {
+                log.info('SIGNALR', 'Connection closed', error?.message);
+                if (listen.removedReason) return; // endByServer tells the page
+                endHand();
+                listen.connectionLostAt = listen.connectionLostAt || performance.now();
+                listen.connectionStatus = 'disconnected';
+                emitPlaybackState(true);
+
+                if (listen.dotNetRef) {
+                    try {
+                        await listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'disconnected');
+                    } catch (err) {
+                        log.warn('SIGNALR', 'Failed to notify UI of disconnection:', err);
+                    }
+                }
+            });
+
+            log.info('SIGNALR', 'Reconnection handlers installed');
+        }
+
+        /**
+         * Update the arrival jitter estimate and the adaptive latency target.
+         * Called for every received chunk.
+         */
+        function recordChunkArrival() {
+            const now = performance.now();
+            if (listen.lastArrivalTime) {
+                const interval = now - listen.lastArrivalTime;
+                if (listen.meanIntervalMs === 0) {
+                    listen.meanIntervalMs = interval;
+                } else {
+                    listen.meanIntervalMs += (interval - listen.meanIntervalMs) / 16;
+                }
+                const deviation = Math.abs(interval - listen.meanIntervalMs);
+                listen.jitterMs += (deviation - listen.jitterMs) / 16;
+            }
+            listen.lastArrivalTime = now;
+
+            // Enough buffer to cover one chunk interval plus a few standard jitters
+            const target = listen.meanIntervalMs + listen.jitterMultiplier * listen.jitterMs;
+            listen.targetLatencyMs = Math.min(listen.maxTargetLatencyMs, Math.max(listen.minTargetLatencyMs, target));
+        }
+
+        /**
+         * Enter or leave the broadcaster's break. The silence during a break is
+         * not network jitter: forget the last arrival time so the first chunk after
+         * the break does not inflate the jitter estimate and latency target.
+         */
+        function setListenPaused(paused) {
+            if (listen.paused === paused) return;
+            listen.paused = paused;
+            listen.lastArrivalTime = 0;
+            if (!paused && listen.audioCtx && listen.nextPlayTime < listen.audioCtx.currentTime) {
+                listen.nextPlayTime = 0; // Drained during the break: start fresh like the first chunk
+            }
+            log.info('LISTEN-DIAG', `Broadcaster ${paused ? 'paused' : 'resumed'}`);
+            emitPlaybackState(true);
+            if (listen.dotNetRef) {
+                listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', paused ? 'paused' : 'resumed')
+                    .catch(err => log.error('LISTEN-DIAG', 'ERROR invoking OnStreamStateChanged:', err));
+            }
+        }
+
+        /**
+         * Estimated duration of a queued (not yet scheduled) chunk in ms
+         */
+        function queuedChunkMs(item) {
+            if (listen.codec === 'opus') {
+                return listen.meanIntervalMs || 20; // Opus packets are decoded later; use arrival cadence
+            }
+            return (item.payload.byteLength / 2 / item.channels) / item.sampleRate * 1000;
+        }
+
+        /**
+         * Current end-to-end buffer: audio already scheduled ahead plus audio still queued
+         */
+        function measureLatencyMs() {
+            let latency = 0;
+            if (listen.audioCtx && listen.nextPlayTime > 0) {
+                latency = Math.max(0, (listen.nextPlayTime - listen.audioCtx.currentTime) * 1000);
+            }
+            for (const item of listen.queue) {
+                latency += queuedChunkMs(item);
+            }
+            listen.currentLatencyMs = latency;
+            return latency;
+        }
+
+        /**
+         * Keep the receive queue within the hard latency cap (e.g. a throttled background tab).
+         * Silent PCM16 chunks are discarded first; the oldest audio only as a last resort.
+         */
+        function trimQueue() {
+            let queuedMs = 0;
+            for (const item of listen.queue) queuedMs += queuedChunkMs(item);
+            if (queuedMs <= listen.hardLatencyCapMs) return;
+
+            if (listen.codec === 'pcm16') {
+                for (let i = 0; i < listen.queue.length && queuedMs > listen.hardLatencyCapMs; ) {
+                    if (computeRms(pcm16ToFloat32(listen.queue[i].payload)) < listen.silenceRms) {
+                        queuedMs -= queuedChunkMs(listen.queue[i]);
+                        listen.queue.splice(i, 1);
+                        listen.totalSilenceDropped++;
+                    } else {
+                        i++;
+                    }
+                }
+            }
+            while (listen.queue.length > 0 && queuedMs > listen.hardLatencyCapMs) {
+                queuedMs -= queuedChunkMs(listen.queue.shift());
+                listen.totalChunksDropped++;
+            }
+            log.warn('LISTEN-DIAG', `Queue over ${listen.hardLatencyCapMs}ms cap, trimmed. Silence dropped: ${listen.totalSilenceDropped}, audio dropped: ${listen.totalChunksDropped}`);
+        }
+
+        /**
+         * Sequence check for an incoming chunk.
+         * @returns {number} chunks lost before this one (0 = in order), or -1 to discard it
+         *          (duplicate or out-of-order, e.g. replayed after a reconnect)
+         */
+        function checkSequence(header) {
+            if (!header) return 0; // Legacy chunk without header: nothing to check
+            if (header.streamId !== listen.streamId) {
+                // New broadcast session (or first chunk): restart sequencing
+                if (listen.streamId !== null) {
+                    log.info('LISTEN-DIAG', `New stream id ${header.streamId} (was ${listen.streamId}), resetting sequence`);
+                }
+                listen.streamId = header.streamId;
+                listen.lastSeq = header.sequence;
+                return 0;
+            }
+            if (header.sequence <= listen.lastSeq) {
+                listen.totalChunksDiscarded++;
+                log.warn('LISTEN-DIAG', `Discarded duplicate/out-of-order chunk #${header.sequence} (last: #${listen.lastSeq})`);
+                return -1;
+            }
+            const lost = header.sequence - listen.lastSeq - 1;
+            listen.lastSeq = header.sequence;
+            if (lost > 0) {
+                listen.totalChunksLost += lost;
+                log.warn('LISTEN-DIAG', `Gap detected: ${lost} chunk(s) lost before #${header.sequence}. Total lost: ${listen.totalChunksLost}`);
+            }
+            return lost;
+        }
+
+        /**
+         * Packet-loss concealment: continue from the last played samples, time-reversed so
+         * the junction is continuous, with a linear fade to zero. Returns null if nothing to repeat.
+         * @param {number} missingFrames - Duration of the lost audio in sample frames
+         * @returns {Float32Array[]|null} One plane per channel
+         */
+        function buildConcealment(missingFrames, sampleRate) {
+            const last = listen.lastSamples;
+            if (!last || last[0].length === 0) return null;
+            const length = Math.min(missingFrames, Math.round(sampleRate * maxConcealMs / 1000));
+            const fadeLen = Math.min(length, last[0].length);
+            return last.map(plane => {
+                const out = new Float32Array(fadeLen);
+                for (let i = 0; i < fadeLen; i++) {
+                    out[i] = plane[plane.length - 1 - i] * (1 - i / fadeLen);
+                }
+                return out;
+            });
+        }
+
+        /**
+         * Schedule decoded samples, concealing any lost chunks before them
+         * @param {Float32Array[]} planes - One array per channel
+         * @param {number} lostChunks - Chunks missing before these samples
+         * @param {boolean} [newSource] - First samples from another broadcaster (crossfaded in)
+         */
+        function scheduleWithConcealment(planes, sampleRate, lostChunks, captureTimeMs, newSource) {
+            if (newSource) beginSourceCrossfade(); // May ask for a plain fade-in instead
+            if (lostChunks > 0) {
+                const concealment = buildConcealment(lostChunks * planes[0].length, sampleRate);
+                // Concealment must match the current layout (channel count may have changed)
+                if (concealment && concealment.length === planes.length) {
+                    recordLocalPlanes(concealment, sampleRate);
+                    scheduleSamples(concealment, sampleRate, null);
+                }
+                applyFadeIn(planes, sampleRate);
+            } else if (listen.fadeInNext) {
+                applyFadeIn(planes, sampleRate);
+            }
+            listen.fadeInNext = false;
+            recordLocalPlanes(planes, sampleRate);
+            scheduleSamples(planes, sampleRate, captureTimeMs);
+            listen.lastSamples = planes;
+        }
+
+        /**
+         * Schedule decoded samples right after the previously scheduled buffer.
+         * Used by both the PCM16 path and the Opus decoder output callback.
+         * Applies the jitter buffer policy: discard silence when far behind,
+         * otherwise time-stretch (pitch-preserving) to drift back to the target latency.
+         * @param {Float32Array[]} planes - One array per channel
+         * @param {number} sampleRate - Rate of the samples (Opus decodes at its own rate)
+         */
+        function scheduleSamples(planes, sampleRate, captureTimeMs) {
+            if (listen.mode === 'held') return; // Decoder output that raced a pause
+            const channels = planes.length;
+            const latencyMs = measureLatencyMs();
+            const overTargetMs = latencyMs - listen.targetLatencyMs;
+
+            if (listen.mode === 'live') {
+                // Far behind: silence is the cheapest thing to throw away
+                if (overTargetMs > listen.catchUpDeadbandMs && planes.every(p => computeRms(p) < listen.silenceRms)) {
+                    listen.totalSilenceDropped++;
+                    return;
+                }
+                // Last resort (replaces the old chunk-count emergency drop)
+                if (latencyMs > listen.hardLatencyCapMs) {
+                    listen.totalChunksDropped++;
+                    log.warn('LISTEN-DIAG', `Latency ${latencyMs.toFixed(0)}ms over hard cap, dropped chunk. Total dropped: ${listen.totalChunksDropped}`);
+                    return;
+                }
+
+                // Hysteresis: start catching up above target + deadband, stop once back at target
+                if (overTargetMs > listen.catchUpDeadbandMs) {
+                    listen.currentPlaybackRate = listen.catchUpRate;
+                } else if (overTargetMs <= 0) {
+                    listen.currentPlaybackRate = 1.0;
+                }
+            } else {
+                // Time-shifted: the listener picks the tempo, nothing is dropped
+                listen.currentPlaybackRate = listen.catchingUpBacklog
+                    ? Math.max(listen.timeShiftRate, listen.catchUpRate)
+                    : listen.timeShiftRate;
+            }
+
+            if (!listen.stretcher || listen.stretcher.sampleRate !== sampleRate || listen.stretcher.channels !== channels) {
+                listen.stretcher = createTimeStretcher(sampleRate, channels);
+            }
+            const stretched = listen.stretcher.process(planes, listen.currentPlaybackRate);
+            const frames = stretched[0].length;
+            if (frames === 0) return; // Stretcher is still filling its window
+        
+            // Create audio buffer (one channel per plane)
+            const buffer = listen.audioCtx.createBuffer(channels, frames, sampleRate);
+            for (let c = 0; c < channels; c++) {
+                buffer.getChannelData(c).set(stretched[c]);
+            }
+        
+            // Create buffer source (always 1.0 - tempo changes are already in the samples)
+            const src = listen.audioCtx.createBufferSource();
+            src.buffer = buffer;
+            src.connect(ensureSourceBus());
+        
+            const chunkDurationSec = frames / sampleRate;
+        
+            // Never schedule in the past (e.g. after an underrun)
+            if (listen.nextPlayTime < listen.audioCtx.currentTime) {
+                listen.totalUnderruns++;
+                listen.nextPlayTime = listen.audioCtx.currentTime + 0.02;
+            }
+        
+            // Schedule to play at precise time (seamless connection to previous chunk)
+            src.start(listen.nextPlayTime);
+
+            // Tracked so pause/seek can cut pending audio and report the play position
+            const entry = { src, startTime: listen.nextPlayTime, endTime: listen.nextPlayTime + chunkDurationSec, captureTimeMs, rate: listen.currentPlaybackRate };
+            listen.scheduled.push(entry);
+            src.onended = () => {
+                const i = listen.scheduled.indexOf(entry);
+                if (i >= 0) listen.scheduled.splice(i, 1);
+            };
+        
+            listen.totalChunksScheduled++;
+        
+            // Log periodically
+            if (listen.totalChunksScheduled % 50 === 0) {
+                log.debug('LISTEN-DIAG', `Scheduled chunk #${listen.totalChunksScheduled}, latency: ${latencyMs.toFixed(0)}ms (target ${listen.targetLatencyMs.toFixed(0)}ms, jitter ${listen.jitterMs.toFixed(1)}ms), tempo: ${listen.currentPlaybackRate}x, channels: ${channels}`);
+            }
+        
+            // Advance next play time
+            listen.nextPlayTime += chunkDurationSec;
+        }
+
+        /**
+         * Create the WebCodecs Opus decoder for the listener.
+         * Decoded frames are scheduled from the output callback.
+         * @returns {boolean} false if this browser cannot decode Opus
+         */
+        function ensureOpusDecoder() {
+            if (listen.decoder && listen.decoder.state === 'configured') return true;
+            if (typeof AudioDecoder === 'undefined') {
+                log.error('LISTEN-DIAG', 'WebCodecs AudioDecoder not supported - cannot play Opus stream');
+                return false;
+            }
+
+            listen.decoder = new AudioDecoder({
+                output: (audioData) => {
+                    try {
+                        const planes = [];
+                        for (let c = 0; c < audioData.numberOfChannels; c++) {
+                            const options = { planeIndex: c, format: 'f32-planar' };
+                            const plane = new Float32Array(audioData.allocationSize(options) / 4);
+                            audioData.copyTo(plane, options);
+                            planes.push(plane);
+                        }
+                        const lost = listen.decoderGaps.get(audioData.timestamp) || 0;
+                        const captureTimeMs = listen.decoderCaptureTimes.get(audioData.timestamp);
+                        const newSource = listen.decoderSourceSwitches.delete(audioData.timestamp);
+                        listen.decoderGaps.delete(audioData.timestamp);
+                        listen.decoderCaptureTimes.delete(audioData.timestamp);
+                        scheduleWithConcealment(planes, audioData.sampleRate, lost, captureTimeMs, newSource);
+                    } catch (error) {
+                        log.error('LISTEN-DIAG', 'ERROR scheduling decoded Opus frame:', error);
+                    } finally {
+                        audioData.close();
+                    }
+                },
+                error: (error) => {
+                    log.error('LISTEN-DIAG', 'Opus decoder error:', error);
+                    listen.decoder = null; // Recreated on next chunk
+                }
+            });
+            listen.decoder.configure({ codec: 'opus', sampleRate: listen.sampleRate, numberOfChannels: listen.channels });
+            listen.decoderTimestamp = 0;
+            log.info('LISTEN-DIAG', `Opus decoder configured (${listen.sampleRate}Hz, ${listen.channels}ch)`);
+            return true;
+        }
+
+        /**
+         * Close the Opus decoder (codec change or stop)
+         */
+        function closeDecoder() {
+            if (listen.decoder) {
+                try {
+                    if (listen.decoder.state !== 'closed') listen.decoder.close();
+                } catch {}
+                listen.decoder = null;
+            }
+            listen.decoderGaps.clear();
+            listen.decoderCaptureTimes.clear();
+            listen.decoderSourceSwitches.clear();
+        }
+
+        /**
+         * Switch the listener to the codec and channel count announced by the hub
+         */
+        function applyStreamFormat(codec, channels) {
+            const nextChannels = channels > 0 ? channels : 1;
+            if (nextChannels !== listen.channels) {
+                log.info('LISTEN-DIAG', `Stream channels changed: ${listen.channels} -> ${nextChannels}`);
+                closeDecoder(); // Opus decoder is configured per channel count
+                listen.channels = nextChannels;
+            }
+            const next = codec === 'opus' ? 'opus' : 'pcm16';
+            if (next === listen.codec) return;
+            log.info('LISTEN-DIAG', `Stream codec changed: ${listen.codec} -> ${next}`);
+            closeDecoder();
+            listen.codec = next;
+            if (next === 'opus' && typeof AudioDecoder === 'undefined' && listen.dotNetRef) {
+                listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'unsupported-codec')
+                    .catch(err => log.warn('LISTEN-DIAG', 'Failed to notify UI of unsupported codec:', err));
+            }
+        }
+
+        /**
+         * Schedule chunks for playback using AudioContext.currentTime
+         * This eliminates gaps by pre-scheduling chunks to play seamlessly
+         */
+        function scheduleChunks() {
+            if (listen.mode === 'timeshift') feedFromHistory();
+            if (listen.queue.length === 0) {
+                if (listen.mode === 'held') emitPlaybackState(false); // Keeps "behind live" counting up
+                return;
+            }
+        
+            ensureAudioContext(listen);
+        
+            // Initialize playback time on first chunk
+            if (listen.nextPlayTime === 0) {
+                // Start playing immediately (with small buffer for safety)
+                listen.nextPlayTime = listen.audioCtx.currentTime + 0.05;
+                log.info('LISTEN-DIAG', 'Initializing playback, starting at:', listen.nextPlayTime);
+            }
+        
+            // Opus packets are ~20ms each, so hand more of them to the decoder per call
+            const isOpus = listen.codec === 'opus';
+            if (isOpus && !ensureOpusDecoder()) {
+                listen.totalChunksDropped += listen.queue.length;
+                listen.queue = [];
+                return;
+            }
+        
+            // Schedule multiple chunks ahead to ensure seamless playback
+            // Process all available chunks in queue (up to reasonable limit)
+            let scheduled = 0;
+            const maxSchedulePerCall = isOpus ? 25 : 5; // Don't schedule too many at once
+        
+            while (listen.queue.length > 0 && scheduled < maxSchedulePerCall) {
+                const item = listen.queue.shift();
+            
+                try {
+                    if (isOpus) {
+                        // Decoded asynchronously; output callback schedules the samples
+                        // (gap info travels with the chunk timestamp)
+                        const timestamp = listen.decoderTimestamp++;
+                        if (item.lostBefore > 0) listen.decoderGaps.set(timestamp, item.lostBefore);
+                        if (item.newSource) listen.decoderSourceSwitches.add(timestamp);
+                        listen.decoderCaptureTimes.set(timestamp, item.captureTimeMs);
+                        listen.decoder.decode(new EncodedAudioChunk({
+                            type: 'key', // Every Opus packet is independently decodable
+                            timestamp,
+                            data: item.payload
+                        }));
+                    } else {
+                        scheduleWithConcealment(pcm16ToPlanes(item.payload, item.channels), item.sampleRate, item.lostBefore, item.captureTimeMs, item.newSource);
+                    }
+                    scheduled++;
+                } catch (error) {
+                    log.error('LISTEN-DIAG', '[scheduleChunks] ERROR processing chunk:', error);
+                    // Continue with next chunk
+                }
+            }
+        
+            // Report buffer/tempo state (throttled)
+            emitPlaybackState(false);
+        
+            // If we're running low on scheduled audio, warn
+            const bufferedTime = listen.nextPlayTime - listen.audioCtx.currentTime;
+            if (bufferedTime < 0.1) {
+                log.warn('LISTEN-DIAG', 'Audio buffer critically low! Buffered:', bufferedTime.toFixed(3), 's');
+            }
+        }
+
+        /**
+         * Start continuous scheduling loop
+         */
+        function startScheduler() {
+            if (listen.schedulerTimer) return; // Already running
+        
+            log.info('LISTEN-DIAG', 'Starting continuous audio scheduler');
+        
+            // Schedule chunks every 20ms (faster than chunk arrival rate)
+            listen.schedulerTimer = setInterval(() => {
+                scheduleChunks();
+                updateCaptions(false);
+            }, 20);
+        }
+
+        /**
+         * Stop scheduling loop
+         */
+        function stopScheduler() {
+            if (listen.schedulerTimer) {
+                clearInterval(listen.schedulerTimer);
+                listen.schedulerTimer = null;
+                log.info('LISTEN-DIAG', 'Stopped audio scheduler');
+            }
+        }
+
+        /**
+         * Take in one chunk from ReceiveAudio or a join backlog: sequence check,
+         * jitter estimate, history and (live mode only) the playback queue.
+         * @param {Uint8Array|string|ArrayBuffer} chunk - As delivered by the hub protocol
+         * @param {boolean} fromBacklog - Part of a JoinListener backlog (arrived in one burst)
+         * @returns {Object|null} The accepted queue/history item, null if discarded
+         */
+        function receiveChunk(chunk, fromBacklog) {
+            const bytes = chunkToBytes(chunk);
+
+            // Header carries sequence/capture time/sample rate (absent from older broadcasters)
+            const { header, payload } = decodeChunk(bytes);
+            // A re-join backlog overlaps what we already have; not worth a warning per chunk
+            if (fromBacklog && header && header.streamId === listen.streamId && header.sequence <= listen.lastSeq) return null;
+            listen.totalChunksReceived++;
+            // Another stream id mid-session: the hub switched broadcasters (or one restarted)
+            const newSource = !!header && listen.streamId !== null && header.streamId !== listen.streamId;
+            const lostBefore = checkSequence(header);
+            if (lostBefore < 0) return null; // Duplicate or out-of-order
+
+            // Jitter estimate drives the adaptive latency target (see scheduleSamples)
+            if (!fromBacklog) recordChunkArrival();
+
+            const item = {
+                payload,
+                sampleRate: header && header.sampleRate > 0 ? header.sampleRate : listen.sampleRate,
+                channels: header && header.channels > 0 ? header.channels : listen.channels,
+                // Arrival time stands in for older broadcasters (keeps the history seekable)
+                captureTimeMs: header && header.captureTimeMs > 0 ? header.captureTimeMs : Date.now(),
+                lostBefore,
+                newSource
+            };
+            appendHistory(item);
+            // Time-shifted or held: history only, feedFromHistory queues it later
+            if (listen.mode === 'live' && !fromBacklog) {
+                listen.queue.push(item);
+                trimQueue();
+            }
+
+            // Log every 50th chunk to avoid console spam
+            if (listen.totalChunksReceived % 50 === 0) {
+                const latencyMs = measureLatencyMs();
+                const queueStatus = latencyMs > listen.targetLatencyMs + listen.catchUpDeadbandMs ? '⚠️ OVER TARGET' : '✓ OK';
+                log.debug('LISTEN-DIAG', `Received #${listen.totalChunksReceived}, latency: ${latencyMs.toFixed(0)}ms ${queueStatus}, jitter: ${listen.jitterMs.toFixed(1)}ms, silence dropped: ${listen.totalSilenceDropped}, dropped: ${listen.totalChunksDropped}`);
+            }
+            return item;
+        }
+
+        /**
+         * Invoke JoinListener asking for secondsBack of backlog. Live chunks arriving
+         * meanwhile wait in pendingChunks until takeBacklog; the caller applies the
+         * stream format first and then calls it.
+         */
+        async function joinListenerGroup(secondsBack, fallbackSampleRate) {
+            listen.joinPending = true;
+            try {
+                const result = await listen.connection.invoke("JoinListener", listen.eventId, listen.slug, listen.token || null,
+                    Math.max(0, Math.round(secondsBack)), listen.track, listen.displayName);
+                log.debug('LISTEN-DIAG', 'JoinListener returned:', result);
+                const joined = parseJoinResult(result, fallbackSampleRate);
+                if (!joined.ok) {
+                    listen.joinPending = false;
+                    listen.pendingChunks = [];
+                    return joined;
+                }
+                listen.allowRecording = joined.allowRecording;
+                if (!listen.allowRecording && listen.localRecording) {
+                    log.warn('LISTEN-DIAG', 'Event no longer allows local recording, stopping it');
+                    await finishLocalRecording(null);
+                }
+                return joined;
+            } catch (err) {
+                listen.joinPending = false;
+                listen.pendingChunks = [];
+                throw err;
+            }
+        }
+
+        /**
+         * Play the JoinListener backlog ahead of the live stream: it goes into the
+         * history and playback time-shifts to its first chunk, catching up at
+         * catchUpRate (or faster) until feedFromHistory merges into live.
+         * Then the live chunks held back while joining are taken in.
+         */
+        function takeBacklog(backlog) {
+            let first = null;
+            for (const chunk of backlog) {
+                const item = receiveChunk(chunk, true);
+                if (item && !first) first = item;
+            }
+            if (first && listen.mode === 'live') {
+                // Whatever is still queued from before a reconnect plays first, then the backlog
+                listen.historyCursor = Math.max(0, listen.history.lastIndexOf(first));
+                listen.mode = 'timeshift';
+                listen.catchingUpBacklog = true;
+                log.info('LISTEN-DIAG', `Playing ${listen.history.length - listen.historyCursor} backlog chunk(s) before joining live`);
+            }
+
+            const pending = listen.pendingChunks;
+            listen.pendingChunks = [];
+            listen.joinPending = false;
+            for (const chunk of pending) receiveChunk(chunk, false);
+            emitPlaybackState(true);
+        }
+
+        /**
+         * Add a received chunk to the time-shift history and drop what falls out
+         * of the window (age or memory cap). Trimmed in batches since splice is O(n).
+         */
+        function appendHistory(item) {
+            const history = listen.history;
+            history.push(item);
+            listen.historyBytes += item.payload.byteLength;
+            if (history.length % 50 !== 0) return;
+
+            let drop = 0;
+            while (drop < history.length - 1 &&
+                (item.captureTimeMs - history[drop].captureTimeMs > listen.historyMaxMs || listen.historyBytes > listen.historyMaxBytes)) {
+                listen.historyBytes -= history[drop].payload.byteLength;
+                drop++;
+            }
+            if (drop === 0) return;
+            history.splice(0, drop);
+            // Keep the cursor on the same chunk; clamp if it fell out of the window
+            listen.historyCursor = Math.max(0, listen.historyCursor - drop);
+        }
+
+        /**
+         * Time-shift mode: keep about timeShiftLeadMs of history queued ahead of the
+         * play position. Reaching the newest chunk hands over to live mode seamlessly,
+         * since every later chunk goes straight to the queue again.
+         */
+        function feedFromHistory() {
+            while (listen.historyCursor < listen.history.length && measureLatencyMs() < timeShiftLeadMs) {
+                listen.queue.push(listen.history[listen.historyCursor++]);
+            }
+            if (listen.historyCursor >= listen.history.length) {
+                listen.mode = 'live';
+                listen.catchingUpBacklog = false;
+                log.info('LISTEN-DIAG', 'Time-shift caught up with the live edge');
+                emitPlaybackState(true);
+            }
+        }
+
+        /**
+         * Capture time (broadcaster clock) of the audio currently heard
+         */
+        function playPositionMs() {
+            if (listen.mode === 'held') return listen.heldAtMs;
+            const now = listen.audioCtx ? listen.audioCtx.currentTime : 0;
+            let position = null;
+            for (const e of listen.scheduled) {
+                if (e.captureTimeMs == null || e.startTime > now) continue;
+                // Output seconds cover rate times as much source audio
+                position = e.captureTimeMs + (Math.min(now, e.endTime) - e.startTime) * 1000 * e.rate;
+            }
+            if (position != null) return position;
+            if (listen.queue.length > 0) return listen.queue[0].captureTimeMs;
+            if (listen.mode === 'timeshift' && listen.historyCursor < listen.history.length) {
+                return listen.history[listen.historyCursor].captureTimeMs;
+            }
+            return liveEdgeMs();
+        }
+
+        function liveEdgeMs() {
+            const history = listen.history;
+            return history.length > 0 ? history[history.length - 1].captureTimeMs : null;
+        }
+
+        /**
+         * How far the play position trails the newest received chunk, and how much history there is
+         */
+        function timeShiftPosition() {
+            const history = listen.history;
+            const live = liveEdgeMs();
+            const position = playPositionMs();
+            return {
+                mode: listen.mode,
+                behindLiveMs: live != null && position != null ? Math.max(0, Math.round(live - position)) : 0,
+                historyMs: history.length > 1 ? Math.round(live - history[0].captureTimeMs) : 0,
+                timeShiftRate: listen.timeShiftRate
+            };
+        }
+
+        /**
+         * Cut everything scheduled or queued so playback can restart elsewhere
+         */
+        function discardPendingAudio() {
+            for (const e of listen.scheduled) {
+                try { e.src.stop(); } catch {}
+            }
+            listen.scheduled = [];
+            listen.queue = [];
+            closeDecoder(); // Pending decoder output belongs to the old position
+            listen.stretcher = null;
+            listen.lastSamples = null;
+            listen.nextPlayTime = 0;
+            listen.currentPlaybackRate = 1.0;
+            listen.fadeInNext = true;
+            listen.catchingUpBacklog = false; // The listener took over the position
+        }
+
+        /**
+         * Continue playback from the given capture time (clamped to the history window).
+         * At or past the live edge this is jumpToLive.
+         */
+        function seekTo(captureTimeMs) {
+            const history = listen.history;
+            const live = liveEdgeMs();
+            if (live == null || captureTimeMs >= live) {
+                jumpToLive();
+                return;
+            }
+            let cursor = 0;
+            while (cursor < history.length - 1 && history[cursor].captureTimeMs < captureTimeMs) cursor++;
+
+            discardPendingAudio();
+            listen.historyCursor = cursor;
+            listen.heldAtMs = null;
+            listen.mode = 'timeshift';
+            log.info('LISTEN-DIAG', `Time-shift to ${((live - history[cursor].captureTimeMs) / 1000).toFixed(1)}s behind live at ${listen.timeShiftRate}x`);
+            emitPlaybackState(true);
+        }
+
+        function jumpToLive() {
+            if (listen.mode !== 'live') discardPendingAudio();
+            listen.mode = 'live';
+            listen.heldAtMs = null;
+            listen.historyCursor = listen.history.length;
+            emitPlaybackState(true);
+        }
+
+        function setHandState(state) {
+            if (listen.hand === state) return;
+            listen.hand = state;
+            log.info('LISTEN-DIAG', `Hand: ${state}`);
+            applyListenerVolume();
+            events.dispatchEvent(new CustomEvent('hand', { detail: { state } }));
+            if (listen.dotNetRef) {
+                listen.dotNetRef.invokeMethodAsync('OnHandStateChanged', state)
+                    .catch(err => log.debug('LISTEN-DIAG', 'OnHandStateChanged failed:', err));
+            }
+        }
+
+        /**
+         * Open the microphone and send it to the hub (SpeakerApproved). Chunks use the
+         * broadcast framing with their own stream id; the hub relays them to the
+         * floor's live broadcaster, which mixes them into the stream.
+         */
+        async function startUplink() {
+            if (listen.uplink) return;
+            ensureAudioContext(listen);
+            const ctx = listen.audioCtx;
+            const uplink = {
+                stream: null,
+                source: null,
+                processor: null,
+                streamId: (Math.random() * 0x100000000) >>> 0,
+                sequence: 0,
+                channels: 1,
+                sampleRate: ctx.sampleRate
+            };
+            listen.uplink = uplink;
+            try {
+                uplink.stream = await navigator.mediaDevices.getUserMedia({ audio: speakerProcessing });
+                uplink.source = ctx.createMediaStreamSource(uplink.stream);
+                uplink.processor = await createCapture(ctx, uplink.source, 1, (bytes) => sendUplinkChunk(uplink, bytes));
+            } catch (err) {
+                closeUplink(uplink);
+                if (listen.uplink === uplink) listen.uplink = null;
+                throw err;
+            }
+            if (listen.uplink !== uplink) {
+                closeUplink(uplink); // Revoked while the microphone was opening
+                return;
+            }
+            log.info('LISTEN-DIAG', `Microphone uplink open (${uplink.sampleRate}Hz)`);
+        }
+
+        function closeUplink(uplink) {
+            if (uplink.processor) closeCaptureNode(uplink.processor);
+            if (uplink.source) uplink.source.disconnect();
+            if (uplink.stream) uplink.stream.getTracks().forEach(t => t.stop());
+            uplink.processor = uplink.source = uplink.stream = null;
+        }
+
+        function stopUplink() {
+            if (!listen.uplink) return;
+            closeUplink(listen.uplink);
+            listen.uplink = null;
+            log.info('LISTEN-DIAG', 'Microphone uplink closed');
+        }
+
+        // Raised hand and uplink end locally (revoked, lowered, connection lost)
+        function endHand() {
+            stopUplink();
+            setHandState('none');
+        }
+
+        function sendUplinkChunk(uplink, bytes) {
+            const connection = listen.connection;
+            if (listen.uplink !== uplink || !connection || connection.state !== 'Connected') return;
+            const framed = encodeChunk(bytes, uplink.sequence++, Date.now(), uplink);
+            // Same transport choice as the broadcaster (see sendFramedChunk)
+            const send = isMessagePackAvailable()
+                ? connection.invoke("SpeakerAudioChunkBinary", listen.eventId, framed)
+                : connection.invoke("SpeakerAudioChunk", listen.eventId, btoa(String.fromCharCode.apply(null, framed)));
+            send.catch(err => log.warn('LISTEN-DIAG', 'Sending microphone chunk failed:', err?.message));
+        }
+
+        /**
+         * Start recording what this session plays. 'wav' taps the decoded planes in
+         * scheduleWithConcealment (before time-stretch and the output chain, so volume
+         * and mute do not matter); 'opus' runs MediaRecorder on the master chain input.
+         * @param {string} [format] - 'opus' (default when MediaRecorder supports it) or 'wav'
+         * @returns {Object|null} { format } or null when not allowed / not connected
+         */
+        function startLocalRecording(format) {
+            if (listen.localRecording) return { format: listen.localRecording.format };
+            if (!listen.connection || !listen.allowRecording) {
+                log.warn('LISTEN-DIAG', 'Local recording not available (not connected or disabled for this event)');
+                return null;
+            }
+            const mimeType = typeof MediaRecorder === 'undefined' ? null
+                : localRecordingOpusTypes.find(type => MediaRecorder.isTypeSupported(type));
+            const rec = {
+                format: format === 'wav' || !mimeType ? 'wav' : 'opus',
+                startedAt: performance.now(),
+                chunks: [],
+                bytes: 0,
+                channels: listen.channels,
+                sampleRate: 0, // WAV: taken from the first recorded buffer
+                frames: 0,
+                full: false,
+                mimeType,
+                destination: null,
+                recorder: null
+            };
+            if (rec.format === 'opus') {
+                ensureAudioContext(listen);
+                const input = ensureMasterChain();
+                rec.destination = listen.audioCtx.createMediaStreamDestination();
+                input.connect(rec.destination);
+                rec.recorder = new MediaRecorder(rec.destination.stream, { mimeType });
+                rec.recorder.ondataavailable = (e) => {
+                    if (e.data && e.data.size > 0) {
+                        rec.chunks.push(e.data);
+                        rec.bytes += e.data.size;
+                    }
+                };
+                rec.recorder.start(1000); // Collect every second so little is lost if the tab dies
+            }
+            listen.localRecording = rec;
+            log.info('LISTEN-DIAG', `Local recording started (${rec.format}${mimeType && rec.format === 'opus' ? ', ' + mimeType : ''})`);
+            return { format: rec.format };
+        }
+
+        /**
+         * WAV recording tap: append decoded planes as interleaved PCM16.
+         * Buffers in another sample rate (stream restarted differently) are skipped.
+         */
+        function recordLocalPlanes(planes, sampleRate) {
+            const rec = listen.localRecording;
+            if (!rec || rec.format !== 'wav' || rec.full) return;
+            if (rec.sampleRate === 0) rec.sampleRate = sampleRate;
+            if (sampleRate !== rec.sampleRate) return;
+            // Match the channel count the recording started with
+            const layout = [];
+            for (let c = 0; c < rec.channels; c++) layout.push(planes[Math.min(c, planes.length - 1)]);
+            const pcm = pcmFloatTo16BitPCM(interleave(layout));
+            rec.chunks.push(pcm);
+            rec.bytes += pcm.byteLength;
+            rec.frames += planes[0].length;
+            if (rec.bytes >= maxLocalWavBytes) {
+                rec.full = true;
+                log.warn('LISTEN-DIAG', 'Local WAV recording reached its size limit; later audio is not recorded');
+            }
+        }
+
+        /**
+         * Stop the local recording and offer it as a download.
+         * @param {?string} fileName - Without extension; defaults to label and time
+         * @returns {Promise<Object|null>} { fileName, format, bytes, durationSeconds }
+         */
+        async function finishLocalRecording(fileName) {
+            const rec = listen.localRecording;
+            if (!rec) return null;
+            listen.localRecording = null;
+
+            let blob;
+            let durationSeconds;
+            if (rec.format === 'opus') {
+                if (rec.recorder.state !== 'inactive') {
+                    await new Promise(resolve => {
+                        rec.recorder.onstop = resolve;
+                        rec.recorder.stop();
+                    });
+                }
+                try { listen.master.input.disconnect(rec.destination); } catch {}
+                blob = new Blob(rec.chunks, { type: rec.mimeType });
+                durationSeconds = Math.round((performance.now() - rec.startedAt) / 1000);
+            } else {
+                const sampleRate = rec.sampleRate || listen.sampleRate;
+                blob = encodeWav(rec.chunks, sampleRate, rec.channels);
+                durationSeconds = Math.round(rec.frames / sampleRate);
+            }
+
+            const extension = rec.format === 'wav' ? 'wav' : rec.mimeType.startsWith('audio/ogg') ? 'ogg' : 'webm';
+            const baseName = fileName || `konf-${label}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+            const info = { fileName: `${baseName}.${extension}`, format: rec.format, bytes: blob.size, durationSeconds };
+            downloadBlob(blob, info.fileName);
+            log.info('LISTEN-DIAG', `Local recording saved: ${info.fileName}, ${info.bytes} bytes, ${durationSeconds}s`);
+
+            if (listen.dotNetRef) {
+                listen.dotNetRef.invokeMethodAsync('OnLocalRecordingSaved', info)
+                    .catch(err => log.debug('LISTEN-DIAG', 'OnLocalRecordingSaved failed:', err));
+            }
+            return info;
+        }
+
+        /**
+         * Snapshot of listener health; shape shared by getStats, the OnStreamStats
+         * callback and ReportListenerStats.
+         */
+        function collectListenStats() {
+            return {
+                label,
+                connectionState: listen.connection ? listen.connection.state : 'Disconnected',
+                codec: listen.codec,
+                channels: listen.channels,
+                sampleRate: listen.sampleRate,
+                paused: listen.paused,
+                latencyMs: Math.round(listen.audioCtx ? measureLatencyMs() : 0),
+                targetLatencyMs: Math.round(listen.targetLatencyMs),
+                jitterMs: Math.round(listen.jitterMs),
+                playbackRate: listen.currentPlaybackRate,
+                chunksReceived: listen.totalChunksReceived,
+                chunksScheduled: listen.totalChunksScheduled,
+                chunksDropped: listen.totalChunksDropped,
+                chunksLost: listen.totalChunksLost,
+                chunksDiscarded: listen.totalChunksDiscarded,
+                silenceDropped: listen.totalSilenceDropped,
+                underruns: listen.totalUnderruns,
+                localRecording: listen.localRecording ? listen.localRecording.format : null,
+                ...timeShiftPosition()
+            };
+        }
+
+        /**
+         * Push listener stats to the page (OnStreamStats) and to the hub so
+         * organizers see per-listener health in the manager view.
+         */
+        function reportListenStats() {
+            const stats = collectListenStats();
+            if (listen.dotNetRef) {
+                listen.dotNetRef.invokeMethodAsync('OnStreamStats', stats)
+                    .catch(err => log.warn('LISTEN-DIAG', 'OnStreamStats failed:', err));
+            }
+            if (listen.connection && listen.connection.state === 'Connected') {
+                listen.connection.invoke("ReportListenerStats", listen.eventId,
+                    stats.latencyMs, stats.jitterMs, stats.chunksReceived, stats.chunksLost, stats.chunksDropped, stats.underruns)
+                    .catch(err => log.warn('LISTEN-DIAG', 'ReportListenerStats failed:', err?.message));
+            }
+        }
+
+        function startStatsReporting() {
+            if (listen.statsTimer) return;
+            listen.statsTimer = setInterval(reportListenStats, statsIntervalMs);
         }
-    }
-    
-    /**
-     * Start continuous scheduling loop
-     */
-    function startScheduler() {
-        if (listen.schedulerTimer) return; // Already running
-        
-        console.log('[LISTEN-DIAG] Starting continuous audio scheduler');
-        
-        // Schedule chunks every 20ms (faster than chunk arrival rate)
-        listen.schedulerTimer = setInterval(() => {
-            scheduleChunks();
-        }, 20);
-    }
-    
-    /**
-     * Stop scheduling loop
-     */
-    function stopScheduler() {
-        if (listen.schedulerTimer) {
-            clearInterval(listen.schedulerTimer);
-            listen.schedulerTimer = null;
-            console.log('[LISTEN-DIAG] Stopped audio scheduler');
+
+        function stopStatsReporting() {
+            if (listen.statsTimer) {
+                clearInterval(listen.statsTimer);
+                listen.statsTimer = null;
+            }
         }
-    }
 
-    function updateStreamQualityUI(queueDepth, playbackSpeed) {
-        // Update UI elements if they exist
-        const queueEl = document.getElementById('queueDepth');
-        const speedEl = document.getElementById('playbackSpeed');
-        const statusEl = document.getElementById('streamStatus');
-        
-        if (queueEl) queueEl.textContent = queueDepth;
-        if (speedEl) {
-            speedEl.textContent = playbackSpeed.toFixed(1) + 'x';
-            speedEl.style.color = playbackSpeed > 1.0 ? '#ff9800' : '#28a745';
-        }
-        if (statusEl) {
-            if (queueDepth > listen.targetQueueSize) {
-                statusEl.textContent = 'Catching up...';
-                statusEl.style.color = '#ff9800';
-            } else if (queueDepth === 0) {
-                statusEl.textContent = 'Buffering';
-                statusEl.style.color = '#dc3545';
+        /**
+         * Classify the listener pipeline and publish it as a 'playbackstate' event
+         * on konfAudio.events and to the page's OnPlaybackState callback.
+         * State changes go out immediately; unchanged states at most once per
+         * playbackStateIntervalMs so Blazor Server is not flooded.
+         * @param {boolean} force - Send even if nothing changed (connection events)
+         */
+        function emitPlaybackState(force) {
+            const latencyMs = listen.audioCtx ? measureLatencyMs() : 0;
+            let state;
+            if (listen.connectionStatus !== 'connected') {
+                state = listen.connectionStatus; // 'reconnecting' or 'disconnected'
+            } else if (listen.mode === 'held') {
+                state = 'held';
+            } else if (listen.mode === 'timeshift') {
+                state = 'time-shifted';
+            } else if (listen.paused) {
+                state = 'paused';
+            } else if (listen.currentPlaybackRate > 1.0) {
+                state = 'catching-up';
+            } else if (latencyMs < bufferingThresholdMs) {
+                state = 'buffering';
             } else {
-                statusEl.textContent = 'Normal';
-                statusEl.style.color = '#28a745';
+                state = 'normal';
+            }
+
+            const now = performance.now();
+            if (!force && state === listen.lastPlaybackState && now - listen.lastPlaybackStateTime < playbackStateIntervalMs) {
+                return;
+            }
+            listen.lastPlaybackState = state;
+            listen.lastPlaybackStateTime = now;
+            updateMediaSessionState(state);
+
+            const detail = {
+                state,
+                latencyMs: Math.round(latencyMs),
+                targetLatencyMs: Math.round(listen.targetLatencyMs),
+                jitterMs: Math.round(listen.jitterMs),
+                playbackRate: listen.currentPlaybackRate,
+                ...timeShiftPosition()
+            };
+            events.dispatchEvent(new CustomEvent('playbackstate', { detail }));
+            if (listen.dotNetRef) {
+                listen.dotNetRef.invokeMethodAsync('OnPlaybackState', detail)
+                    .catch(err => log.debug('LISTEN-DIAG', 'OnPlaybackState failed:', err));
             }
         }
-    }
 
-    return {
-        startListening: async function(hubUrl, eventId, slug, token, dotNetRef) {
-            console.log(`[startListening] Starting for event ${eventId}, slug: ${slug}, token: ${token}`);
-            console.log(`[startListening] dotNetRef parameter received:`, dotNetRef);
-            console.log(`[startListening] dotNetRef type:`, typeof dotNetRef);
-            listen.eventId = eventId; listen.slug = slug; listen.token = token || null;
-            listen.dotNetRef = dotNetRef || null;
-            listen.hubUrl = hubUrl; // Store for reconnection
-            console.log(`[startListening] Stored dotNetRef in listen object:`, listen.dotNetRef);
-            ensureAudioContext(listen);
+        /**
+         * Keep a caption from ReceiveCaption, ordered by start time. Captions that end
+         * before the oldest history chunk are dropped; nothing can play them any more.
+         */
+        function addCaption(startMs, endMs, text) {
+            const position = playPositionMs();
+            const caption = {
+                startMs,
+                endMs,
+                text,
+                // Transcription lags: usually the speech has already been heard
+                arrivedLateAt: position != null && position >= startMs ? performance.now() : null
+            };
+            const captions = listen.captions;
+            let i = captions.length;
+            while (i > 0 && captions[i - 1].startMs > startMs) i--;
+            captions.splice(i, 0, caption);
+            const oldestMs = listen.history.length > 0 ? listen.history[0].captureTimeMs : startMs - listen.historyMaxMs;
+            while (captions.length > 0 && captions[0].endMs < oldestMs) captions.shift();
+            updateCaptions(true);
+        }
 
-            // Resume AudioContext if suspended (required by browser autoplay policies)
-            if (listen.audioCtx.state === 'suspended') {
-                console.log('[startListening] AudioContext suspended, attempting to resume...');
-                await listen.audioCtx.resume();
-                console.log(`[startListening] AudioContext state after resume: ${listen.audioCtx.state}`);
+        /**
+         * Show the captions of the speech playing now. The play position is derived from the
+         * scheduled sources (the nextPlayTime timeline), so captions follow the jitter buffer,
+         * catch-up and time-shift. Emits 'caption' and OnCaption(text) when the text changes.
+         */
+        function updateCaptions(force) {
+            const now = performance.now();
+            if (!force && now - listen.lastCaptionUpdate < captionUpdateIntervalMs) return;
+            listen.lastCaptionUpdate = now;
+            const position = playPositionMs();
+            const visible = [];
+            if (position != null) {
+                for (const c of listen.captions) {
+                    if (c.startMs > position) break;
+                    const showMs = Math.min(maxCaptionShowMs, Math.max(minCaptionShowMs, c.endMs - c.startMs));
+                    if (position < c.endMs + captionLingerMs || (c.arrivedLateAt != null && now - c.arrivedLateAt < showMs)) {
+                        visible.push(c);
+                    }
+                }
             }
+            const text = visible.slice(-maxCaptionLines).map(c => c.text).join('\n');
+            if (text === listen.captionText) return;
+            listen.captionText = text;
+            events.dispatchEvent(new CustomEvent('caption', { detail: { text } }));
+            if (listen.dotNetRef) {
+                listen.dotNetRef.invokeMethodAsync('OnCaption', text)
+                    .catch(err => log.debug('LISTEN-DIAG', 'OnCaption failed:', err));
+            }
+        }
+
+        const session = {
+            label,
+            /**
+             * EventTarget for page scripts: 'playbackstate' events with detail
+             * { state, latencyMs, targetLatencyMs, jitterMs, playbackRate, mode, behindLiveMs, historyMs, timeShiftRate }
+             * where state is 'normal' | 'buffering' | 'catching-up' | 'paused' | 'held' | 'time-shifted'
+             * | 'reconnecting' | 'disconnected' ('paused' is the broadcaster's break, 'held' the listener's pause).
+             * 'caption' events carry { text }: the live captions to show now ('' = none), see updateCaptions.
+             */
+            events,
+            /**
+             * Connect to the hub, join the event's listener group and start playback.
+             * @param {Object} [dotNetRef] - Receives OnStreamStateChanged, OnPlaybackState, OnStreamStats and OnCaption
+             * @param {number} [startSecondsBack] - Start this far in the past from the hub's buffer and
+             *   catch up to live (default options.startSecondsBack)
+             * @param {string} [track=''] - Audio track: '' for the floor or an interpretation channel (see switchTrack)
+             * @param {Object} [media] - Media Session info for lock screen controls:
+             *   { title, organizer, artwork } where artwork is an image URL or MediaImage array
+             * @returns {Promise<boolean>} false when JoinListener denies access
+             */
+            start: async function(hubUrl, eventId, slug, token, dotNetRef, startSecondsBack, track, media) {
+                log.debug('LISTEN-DIAG', `[startListening] Starting for event ${eventId}, slug: ${slug}, token: ${token}, track: '${track || ''}'`);
+                log.debug('LISTEN-DIAG', `[startListening] dotNetRef parameter received:`, dotNetRef);
+                log.debug('LISTEN-DIAG', `[startListening] dotNetRef type:`, typeof dotNetRef);
+                listen.eventId = eventId; listen.slug = slug; listen.token = token || null;
+                listen.track = track || '';
+                listen.media = media || null;
+                listen.removedReason = null;
+                listen.dotNetRef = dotNetRef || null;
+                listen.hubUrl = hubUrl; // Store for reconnection
+                log.debug('LISTEN-DIAG', `[startListening] Stored dotNetRef in listen object:`, listen.dotNetRef);
+                ensureAudioContext(listen);
 
-            // Request Wake Lock to prevent device sleep on mobile
-            listen.wakeLock = await requestWakeLock();
+                // Resume AudioContext if suspended (required by browser autoplay policies)
+                if (listen.audioCtx.state === 'suspended') {
+                    log.debug('LISTEN-DIAG', '[startListening] AudioContext suspended, attempting to resume...');
+                    await listen.audioCtx.resume();
+                    log.debug('LISTEN-DIAG', `[startListening] AudioContext state after resume: ${listen.audioCtx.state}`);
+                }
+
+                // iOS (Safari 16.4+): play as media, also with the silent switch on and in the background
+                if (navigator.audioSession) {
+                    try { navigator.audioSession.type = 'playback'; } catch {}
+                }
+                // Start the background playback element while the click still counts as user activation
+                ensureMasterChain();
+                ensureOutput();
+                await playOutput();
 
-            // Setup page visibility handler for background/foreground transitions
-            setupVisibilityHandler();
+                // Request Wake Lock to prevent device sleep on mobile
+                listen.wakeLock = await requestWakeLock();
 
-            // Start continuous audio scheduler
-            startScheduler();
+                // Setup page visibility handler for background/foreground transitions
+                setupVisibilityHandler();
 
-            if (listen.connection) {
-                console.log('[startListening] Stopping existing connection');
-                await listen.connection.stop();
-            }
+                // Start continuous audio scheduler
+                startScheduler();
+                startStatsReporting();
 
-            listen.connection = new signalR.HubConnectionBuilder()
-                .withUrl(hubUrl)
-                .withAutomaticReconnect([0, 1000, 2000, 5000, 10000, 30000]) // Retry intervals in ms
-                .build();
+                if (listen.connection) {
+                    log.debug('LISTEN-DIAG', '[startListening] Stopping existing connection');
+                    await listen.connection.stop();
+                }
+
+                listen.connection = createHubConnection(hubUrl, [0, 1000, 2000, 5000, 10000, 30000]); // Retry intervals in ms
 
-            // Setup reconnection event handlers
-            setupReconnectionHandlers(listen.connection);
+                // Setup reconnection event handlers
+                setupReconnectionHandlers(listen.connection);
             
-            listen.connection.on("ReceiveAudio", (chunk) => {
-                try {
-                    listen.totalChunksReceived++;
-                    
-                    // SignalR sends byte[] as Base64 string in JSON
-                    let bytes;
-                    if (typeof chunk === 'string') {
-                        const binaryString = atob(chunk);
-                        bytes = new Uint8Array(binaryString.length);
-                        for (let i = 0; i < binaryString.length; i++) {
-                            bytes[i] = binaryString.charCodeAt(i);
+                listen.connection.on("ReceiveAudio", (chunk) => {
+                    try {
+                        if (listen.joinPending) {
+                            listen.pendingChunks.push(chunk); // Must not overtake the join backlog
+                            return;
                         }
+                        receiveChunk(chunk, false);
+                        // Scheduler will pick up chunks automatically
+                    } catch (error) {
+                        log.error('LISTEN-DIAG', '[ReceiveAudio] ERROR:', error);
+                    }
+                });
+            
+                // Handle stream lifecycle events
+                listen.connection.on("StreamStarted", (sampleRate, codec, channels) => {
+                    log.info('LISTEN-DIAG', `StreamStarted event received - Sample rate: ${sampleRate}Hz, codec: ${codec}, channels: ${channels}`);
+                    listen.paused = false;
+                    listen.lastArrivalTime = 0;
+                    log.info('LISTEN-DIAG', `Current local sample rate: ${listen.sampleRate}Hz`);
+                
+                    // Update sample rate from broadcaster
+                    if (sampleRate && sampleRate > 0) {
+                        listen.sampleRate = sampleRate;
+                        log.info('LISTEN-DIAG', `Updated sample rate to: ${listen.sampleRate}Hz`);
+                    }
+                    closeDecoder(); // Reconfigure for the (possibly new) sample rate
+                    applyStreamFormat(codec, channels);
+                
+                    log.debug('LISTEN-DIAG', '[StreamStarted] dotNetRef exists:', !!listen.dotNetRef);
+                    if (listen.dotNetRef) {
+                        log.debug('LISTEN-DIAG', '[StreamStarted] Calling dotNetRef.invokeMethodAsync with state: active');
+                        listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'active')
+                            .then(() => {
+                                log.debug('LISTEN-DIAG', '[StreamStarted] Successfully invoked OnStreamStateChanged');
+                            })
+                            .catch(err => {
+                                log.error('LISTEN-DIAG', '[StreamStarted] ERROR invoking OnStreamStateChanged:', err);
+                            });
                     } else {
-                        bytes = new Uint8Array(chunk);
+                        log.error('LISTEN-DIAG', '[StreamStarted] ERROR: dotNetRef is null or undefined!');
+                    }
+                });
+            
+                listen.connection.on("StreamPaused", () => setListenPaused(true));
+                listen.connection.on("StreamResumed", () => setListenPaused(false));
+                listen.connection.on("ReceiveCaption", (startMs, endMs, text) => addCaption(startMs, endMs, text));
+                listen.connection.on("SpeakerApproved", async () => {
+                    setHandState('speaking');
+                    try {
+                        await startUplink();
+                    } catch (err) {
+                        log.error('LISTEN-DIAG', 'Could not open the microphone to speak:', err);
+                        endHand();
+                        listen.connection?.invoke("LowerHand", listen.eventId).catch(() => {});
                     }
-                    
-                    const queueLengthBefore = listen.queue.length;
-                    
-                    // Emergency drop: only if queue exceeds extreme threshold (100 chunks)
-                    // Normal strategy: speed up playback to catch up (see scheduleChunks)
-                    if (listen.queue.length >= listen.emergencyDropThreshold) {
-                        const dropped = listen.queue.shift(); // Drop oldest chunk
-                        listen.totalChunksDropped++;
-                        console.error(`[LISTEN-DIAG] EMERGENCY: Queue exceeded ${listen.emergencyDropThreshold} chunks! Dropped oldest. Total dropped: ${listen.totalChunksDropped}`);
+                });
+                listen.connection.on("SpeakerRevoked", () => endHand());
+                listen.connection.on("Kicked", () => endByServer('kicked'));
+                listen.connection.on("AccessRevoked", () => endByServer('revoked'));
+            
+                listen.connection.on("StreamEnded", () => {
+                    log.debug('LISTEN-DIAG', '[StreamEnded] Event received - Stream has finished');
+                    log.debug('LISTEN-DIAG', '[StreamEnded] dotNetRef exists:', !!listen.dotNetRef);
+                    if (listen.dotNetRef) {
+                        log.debug('LISTEN-DIAG', '[StreamEnded] Calling dotNetRef.invokeMethodAsync with state: ended');
+                        listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'ended')
+                            .then(() => {
+                                log.debug('LISTEN-DIAG', '[StreamEnded] Successfully invoked OnStreamStateChanged');
+                            })
+                            .catch(err => {
+                                log.error('LISTEN-DIAG', '[StreamEnded] ERROR invoking OnStreamStateChanged:', err);
+                            });
+                    } else {
+                        log.error('LISTEN-DIAG', '[StreamEnded] ERROR: dotNetRef is null or undefined!');
                     }
-                    
-                    listen.queue.push(bytes);
-                    
-                    // Log every 50th chunk to avoid console spam
-                    if (listen.totalChunksReceived % 50 === 0) {
-                        const lag = listen.totalChunksReceived - listen.totalChunksScheduled - listen.totalChunksDropped;
-                        const queueStatus = listen.queue.length > listen.targetQueueSize ? '⚠️ OVER TARGET' : '✓ OK';
-                        console.log(`[LISTEN-DIAG] Received #${listen.totalChunksReceived}, queue: ${listen.queue.length} ${queueStatus}, lag: ${lag} chunks, dropped: ${listen.totalChunksDropped}`);
+                });
+            
+                log.debug('LISTEN-DIAG', '[startListening] Starting SignalR connection...');
+                await listen.connection.start();
+                log.debug('LISTEN-DIAG', '[startListening] SignalR connected, calling JoinListener...');
+            
+                const secondsBack = startSecondsBack >= 0 ? startSecondsBack : listen.startSecondsBack;
+                const { ok, sampleRate, codec, channels, paused, backlog, banned } = await joinListenerGroup(secondsBack, 44100);
+            
+                if (!ok) {
+                    log.warn('LISTEN-DIAG', `JoinListener denied${banned ? ' (banned)' : ''}`);
+                    if (banned && listen.dotNetRef) {
+                        listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'revoked')
+                            .catch(err => log.warn('LISTEN-DIAG', 'Failed to notify UI of ban:', err));
                     }
-                    
-                    // Scheduler will pick up chunks automatically
-                } catch (error) {
-                    console.error('[ReceiveAudio] ERROR:', error);
+                    return false;
                 }
-            });
             
-            // Handle stream lifecycle events
-            listen.connection.on("StreamStarted", (sampleRate) => {
-                console.log(`[LISTEN-DIAG] StreamStarted event received - Sample rate: ${sampleRate}Hz`);
-                console.log(`[LISTEN-DIAG] Current local sample rate: ${listen.sampleRate}Hz`);
-                
-                // Update sample rate from broadcaster
+                // Set sample rate from server response
                 if (sampleRate && sampleRate > 0) {
                     listen.sampleRate = sampleRate;
-                    console.log(`[LISTEN-DIAG] Updated sample rate to: ${listen.sampleRate}Hz`);
-                }
-                
-                console.log('[StreamStarted] dotNetRef exists:', !!listen.dotNetRef);
-                if (listen.dotNetRef) {
-                    console.log('[StreamStarted] Calling dotNetRef.invokeMethodAsync with state: active');
-                    listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'active')
-                        .then(() => {
-                            console.log('[StreamStarted] Successfully invoked OnStreamStateChanged');
-                        })
-                        .catch(err => {
-                            console.error('[StreamStarted] ERROR invoking OnStreamStateChanged:', err);
-                        });
-                } else {
-                    console.error('[StreamStarted] ERROR: dotNetRef is null or undefined!');
-                }
-            });
-            
-            listen.connection.on("StreamEnded", () => {
-                console.log('[StreamEnded] Event received - Stream has finished');
-                console.log('[StreamEnded] dotNetRef exists:', !!listen.dotNetRef);
-                if (listen.dotNetRef) {
-                    console.log('[StreamEnded] Calling dotNetRef.invokeMethodAsync with state: ended');
-                    listen.dotNetRef.invokeMethodAsync('OnStreamStateChanged', 'ended')
-                        .then(() => {
-                            console.log('[StreamEnded] Successfully invoked OnStreamStateChanged');
-                        })
-                        .catch(err => {
-                            console.error('[StreamEnded] ERROR invoking OnStreamStateChanged:', err);
-                        });
+                    log.info('LISTEN-DIAG', `Sample rate set from JoinListener: ${listen.sampleRate}Hz`);
                 } else {
-                    console.error('[StreamEnded] ERROR: dotNetRef is null or undefined!');
+                    log.warn('LISTEN-DIAG', `Invalid sample rate from server: ${sampleRate}, using default 44100Hz`);
                 }
-            });
-            
-            console.log('[startListening] Starting SignalR connection...');
-            await listen.connection.start();
-            console.log('[startListening] SignalR connected, calling JoinListener...');
-            
-            const result = await listen.connection.invoke("JoinListener", eventId, slug, token || null);
-            console.log(`[startListening] JoinListener returned:`, result);
-            
-            // Handle both old (boolean) and new (tuple) return format
-            let ok, sampleRate;
-            if (typeof result === 'boolean') {
-                ok = result;
-                sampleRate = 44100; // Fallback
-            } else {
-                ok = result.success;
-                sampleRate = result.sampleRate;
-            }
-            
-            if (!ok) {
-                console.warn("JoinListener denied");
-                return false;
-            }
             
-            // Set sample rate from server response
-            if (sampleRate && sampleRate > 0) {
-                listen.sampleRate = sampleRate;
-                console.log(`[LISTEN-DIAG] Sample rate set from JoinListener: ${listen.sampleRate}Hz`);
-            } else {
-                console.warn(`[LISTEN-DIAG] Invalid sample rate from server: ${sampleRate}, using default 44100Hz`);
-            }
+                // Late joiners learn the codec/channels here (StreamStarted was sent before they joined)
+                applyStreamFormat(codec, channels);
+                log.info('LISTEN-DIAG', `Stream format from JoinListener: ${listen.codec}, ${listen.channels}ch`);
+                setListenPaused(paused);
+                takeBacklog(backlog);
+                registerMediaSession();
             
-            return true;
-        },
-        stopListening: async function(){
-            try {
-                // Stop scheduler first
-                stopScheduler();
+                return true;
+            },
+            stop: async function() {
+                // Leaving saves the local recording (offered as a download)
+                try {
+                    await finishLocalRecording(null);
+                } catch (err) {
+                    log.error('LISTEN-DIAG', 'Saving local recording failed:', err);
+                }
+                endHand();
+                clearMediaSession();
+                if (listen.output) listen.output.element.pause(); // Played again by the next start
+                try {
+                    // Stop scheduler first
+                    stopScheduler();
+                    stopStatsReporting();
 
-                // Release wake lock
-                await releaseWakeLock();
+                    // Release wake lock
+                    await releaseWakeLock();
 
-                // Remove visibility handler
-                removeVisibilityHandler();
+                    // Remove visibility handler
+                    removeVisibilityHandler();
 
-                if (listen.connection) {
-                    await listen.connection.invoke("LeaveListener", listen.eventId);
-                    await listen.connection.stop();
+                    if (listen.connection) {
+                        await listen.connection.invoke("LeaveListener", listen.eventId);
+                        await listen.connection.stop();
+                    }
+                } catch {}
+
+                // Keep final statistics available to getStats after the counters reset
+                listen.lastSessionStats = collectListenStats();
+                log.info('LISTEN-DIAG', `Session ended - Received: ${listen.totalChunksReceived}, Scheduled: ${listen.totalChunksScheduled}, Dropped: ${listen.totalChunksDropped}, Lost: ${listen.totalChunksLost}, Discarded: ${listen.totalChunksDiscarded}`);
+
+                closeDecoder();
+                listen.codec = 'pcm16';
+                listen.channels = 1;
+                listen.paused = false;
+                listen.connection = null;
+                listen.queue = [];
+                listen.playing = false;
+                listen.dotNetRef = null;
+                listen.hubUrl = null;
+                listen.nextPlayTime = 0;
+                listen.totalChunksReceived = 0;
+                listen.totalChunksScheduled = 0;
+                listen.totalChunksDropped = 0;
+                listen.totalUnderruns = 0;
+                listen.totalSilenceDropped = 0;
+                listen.meanIntervalMs = 0;
+                listen.jitterMs = 0;
+                listen.lastArrivalTime = 0;
+                listen.targetLatencyMs = listen.minTargetLatencyMs;
+                listen.currentPlaybackRate = 1.0;
+                listen.stretcher = null;
+                listen.streamId = null;
+                listen.lastSeq = -1;
+                listen.totalChunksLost = 0;
+                listen.totalChunksDiscarded = 0;
+                listen.lastSamples = null;
+                listen.reconnecting = false;
+                listen.connectionStatus = 'connected';
+                listen.lastPlaybackState = null;
+                listen.scheduled = [];
+                listen.mode = 'live';
+                listen.history = [];
+                listen.historyBytes = 0;
+                listen.historyCursor = 0;
+                listen.heldAtMs = null;
+                listen.fadeInNext = false;
+                listen.catchingUpBacklog = false;
+                listen.joinPending = false;
+                listen.pendingChunks = [];
+                listen.connectionLostAt = 0;
+                listen.allowRecording = false;
+                listen.captions = [];
+                listen.captionText = '';
+            },
+
+            /**
+             * Name organizers see in the listener list. Sent with JoinListener, so it can be
+             * set before start; while joined it is changed right away.
+             * @param {string} name - Empty goes back to the account name or "Guest"
+             * @returns {Promise<string|null>} The name as organizers see it, null when not joined
+             */
+            setDisplayName: async function(name) {
+                listen.displayName = (name || '').trim() || null;
+                if (!listen.connection || listen.connection.state !== 'Connected' || listen.joinPending) return null;
+                return await listen.connection.invoke("SetListenerName", listen.eventId, listen.displayName);
+            },
+
+            /**
+             * Listen to another audio track of the event (floor or interpretation channel)
+             * on the same connection. Playback restarts at the new track's live edge;
+             * history and captions of the previous track are dropped.
+             * @param {string} track - '' for the floor or one of the event's interpretation channels
+             * @returns {Promise<boolean>} false if not connected or the hub refused the track
+             */
+            switchTrack: async function(track) {
+                const next = track || '';
+                if (next === listen.track) return true;
+                if (!listen.connection || listen.connection.state !== 'Connected' || listen.joinPending) {
+                    log.warn('LISTEN-DIAG', 'Cannot switch track while not connected');
+                    return false;
                 }
-            } catch {}
+                const previous = listen.track;
+                log.info('LISTEN-DIAG', `Switching track '${previous}' -> '${next}'`);
+                listen.track = next;
+                discardPendingAudio();
+                listen.mode = 'live';
+                listen.history = [];
+                listen.historyBytes = 0;
+                listen.historyCursor = 0;
+                listen.heldAtMs = null;
+                listen.streamId = null; // Sequence numbers of the other track's broadcaster are unrelated
+                listen.lastSeq = -1;
+                listen.lastArrivalTime = 0;
+                listen.captions = [];
 
-            // Log final statistics
-            console.log(`[LISTEN-DIAG] Session ended - Received: ${listen.totalChunksReceived}, Scheduled: ${listen.totalChunksScheduled}, Dropped: ${listen.totalChunksDropped}`);
+                let joined;
+                try {
+                    joined = await joinListenerGroup(0, listen.sampleRate);
+                } catch (err) {
+                    log.error('LISTEN-DIAG', 'Track switch failed:', err);
+                    joined = { ok: false };
+                }
+                if (!joined.ok) {
+                    // The hub keeps the connection on the previous track when it refuses
+                    listen.track = previous;
+                    updateCaptions(true);
+                    return false;
+                }
+                if (joined.sampleRate > 0) listen.sampleRate = joined.sampleRate;
+                applyStreamFormat(joined.codec, joined.channels);
+                setListenPaused(joined.paused);
+                takeBacklog(joined.backlog);
+                updateCaptions(true);
+                applyMediaMetadata();
+                return true;
+            },
 
-            listen.connection = null;
-            listen.queue = [];
-            listen.playing = false;
-            listen.dotNetRef = null;
-            listen.hubUrl = null;
-            listen.nextPlayTime = 0;
-            listen.totalChunksReceived = 0;
-            listen.totalChunksScheduled = 0;
-            listen.totalChunksDropped = 0;
-            listen.reconnecting = false;
+            // Audio track currently listened to ('' = floor)
+            getTrack: function() {
+                return listen.track;
+            },
+
+            /**
+             * Ask to speak. Microphone permission is requested now, while the user is
+             * interacting; the microphone only opens once an organizer approves
+             * (dotNetRef gets OnHandStateChanged('speaking'), 'hand' event).
+             * @returns {Promise<boolean>} false if not connected or the hub refused
+             */
+            raiseHand: async function() {
+                if (!listen.connection || listen.connection.state !== 'Connected') return false;
+                if (listen.hand !== 'none') return true;
+                const probe = await navigator.mediaDevices.getUserMedia({ audio: speakerProcessing });
+                probe.getTracks().forEach(t => t.stop());
+                const ok = await listen.connection.invoke("RaiseHand", listen.eventId);
+                if (ok) setHandState('raised');
+                return ok === true;
+            },
+
+            // Withdraw the raised hand, or stop speaking
+            lowerHand: async function() {
+                if (listen.hand === 'none') return;
+                endHand();
+                try {
+                    await listen.connection?.invoke("LowerHand", listen.eventId);
+                } catch (err) {
+                    log.warn('LISTEN-DIAG', 'LowerHand failed:', err?.message);
+                }
+            },
+
+            // Give up the lock screen controls (another session registered them)
+            releaseMediaSession: function() {
+                listen.mediaSessionActive = false;
+            },
+
+            // 'none' | 'raised' | 'speaking'
+            getHandState: function() {
+                return listen.hand;
+            },
+
+            /**
+             * Pause playback locally. The stream keeps arriving into the history,
+             * so resume() continues exactly where the listener left off.
+             */
+            pause: function() {
+                if (listen.mode === 'held' || !listen.connection) return;
+                listen.heldAtMs = playPositionMs();
+                discardPendingAudio();
+                listen.mode = 'held';
+                emitPlaybackState(true);
+            },
+
+            // Continue from the held position (time-shifted from then on)
+            resume: function() {
+                if (listen.mode !== 'held') return;
+                const at = listen.heldAtMs;
+                listen.mode = 'timeshift'; // So seekTo measures from the history, not the held position
+                seekTo(at == null ? -Infinity : at);
+            },
+
+            /**
+             * Move the play position by offsetMs (negative = back). Past the live edge
+             * jumps to live; while held only the held position moves.
+             */
+            seek: function(offsetMs) {
+                const position = playPositionMs();
+                if (position == null) return;
+                const target = position + (Number(offsetMs) || 0);
+                if (listen.mode === 'held') {
+                    const history = listen.history;
+                    listen.heldAtMs = Math.min(liveEdgeMs(), Math.max(history[0].captureTimeMs, target));
+                    emitPlaybackState(true);
+                    return;
+                }
+                seekTo(target);
+            },
+
+            // Leave time-shift and return to the adaptive live-edge scheduler
+            jumpToLive: function() {
+                jumpToLive();
+            },
+
+            /**
+             * Tempo for time-shifted playback (1.0 - 2.0, pitch preserved), used to catch up
+             * with the live edge; live mode keeps its own adaptive catch-up.
+             */
+            setTimeShiftRate: function(rate) {
+                const r = Number(rate);
+                listen.timeShiftRate = Math.min(maxTimeShiftRate, Math.max(1.0, isFinite(r) ? r : 1.0));
+                emitPlaybackState(true);
+                return listen.timeShiftRate;
+            },
+
+            // { mode, behindLiveMs, historyMs, timeShiftRate }
+            getTimeShift: function() {
+                return timeShiftPosition();
+            },
+
+            // Whether the joined event permits local recording
+            canRecordLocally: function() {
+                return !!listen.connection && listen.allowRecording;
+            },
+
+            /**
+             * Record this session's audio in the browser ('opus' or 'wav').
+             * @returns {Object|null} { format }, null if the event disables it
+             */
+            startLocalRecording: function(format) {
+                return startLocalRecording(format);
+            },
+
+            // Stop recording and download the file; also happens on stop()
+            stopLocalRecording: function(fileName) {
+                return finishLocalRecording(fileName || null);
+            },
+            /**
+             * Set listener output volume (0 = silent, 1 = unity, up to 2 = boost). Persisted.
+             */
+            setVolume: function(volume) {
+                const v = Number(volume);
+                listen.settings.volume = Math.min(maxListenerVolume, Math.max(0, isFinite(v) ? v : 1));
+                applyListenerVolume();
+                saveListenerSettings();
+                return listen.settings.volume;
+            },
+
+            /**
+             * Mute or unmute listener output without touching the volume setting. Persisted.
+             */
+            setMuted: function(muted) {
+                listen.settings.muted = !!muted;
+                applyListenerVolume();
+                saveListenerSettings();
+                return listen.settings.muted;
+            },
+
+            /**
+             * Toggle optional listener processing. Flags that are not given keep their value. Persisted.
+             * @param {Object} enhancement - { compressor: boolean, voiceEq: boolean }
+             */
+            setEnhancement: function(enhancement) {
+                const e = enhancement || {};
+                if (typeof e.compressor === 'boolean') listen.settings.compressor = e.compressor;
+                if (typeof e.voiceEq === 'boolean') listen.settings.voiceEq = e.voiceEq;
+                routeMasterChain();
+                saveListenerSettings();
+                return Object.assign({}, listen.settings);
+            },
+
+            // Helper to get the persisted listener output settings
+            getSettings: function() {
+                return Object.assign({}, listen.settings);
+            },
+
+            // Stats snapshot (previous session's final one when stopped)
+            getStats: function() {
+                return listen.connection ? collectListenStats() : listen.lastSessionStats;
+            },
+            
+            // AudioContext details for the diagnostic bundle
+            getAudioContextInfo: function() {
+                return listen.audioCtx ? { state: listen.audioCtx.state, sampleRate: listen.audioCtx.sampleRate, baseLatency: listen.audioCtx.baseLatency } : null;
+            },
+            
+            /**
+             * Stop and release the session for good, closing its AudioContext
+             * unless it was shared through options.audioContext.
+             */
+            close: async function() {
+                await session.stop();
+                releaseOutput();
+                listenerSessions.delete(session);
+                if (ownsAudioContext && listen.audioCtx) {
+                    try { await listen.audioCtx.close(); } catch {}
+                }
+                listen.audioCtx = null;
+                listen.master = null;
+                listen.sourceBus = null;
+            }
+        };
+        listenerSessions.add(session);
+        return session;
+    }
+
+    const defaultListener = createListenerSession({ label: 'default' });
+
+    return {
+        /**
+         * Create an additional listener session (see createListenerSession).
+         * From Blazor, keep the result as an IJSObjectReference and call
+         * start/stop/setVolume/... on it; call close() when done.
+         */
+        createListener: function(options) {
+            return createListenerSession(options);
+        },
+        
+        // Default-session shims: the original single-listener API
+        events: defaultListener.events,
+        startListening: function(hubUrl, eventId, slug, token, dotNetRef, startSecondsBack, track, media) {
+            return defaultListener.start(hubUrl, eventId, slug, token, dotNetRef, startSecondsBack, track, media);
+        },
+        switchTrack: function(track) {
+            return defaultListener.switchTrack(track);
+        },
+        setDisplayName: function(name) {
+            return defaultListener.setDisplayName(name);
+        },
+        raiseHand: function() {
+            return defaultListener.raiseHand();
+        },
+        lowerHand: function() {
+            return defaultListener.lowerHand();
+        },
+        stopListening: function() {
+            return defaultListener.stop();
+        },
+        setVolume: function(volume) {
+            return defaultListener.setVolume(volume);
+        },
+        setMuted: function(muted) {
+            return defaultListener.setMuted(muted);
+        },
+        setEnhancement: function(enhancement) {
+            return defaultListener.setEnhancement(enhancement);
+        },
+        getListenerSettings: function() {
+            return defaultListener.getSettings();
         },
-        startBroadcast: async function(hubUrl, eventId) {
+        pausePlayback: function() {
+            return defaultListener.pause();
+        },
+        resumePlayback: function() {
+            return defaultListener.resume();
+        },
+        seekPlayback: function(offsetMs) {
+            return defaultListener.seek(offsetMs);
+        },
+        jumpToLive: function() {
+            return defaultListener.jumpToLive();
+        },
+        setTimeShiftRate: function(rate) {
+            return defaultListener.setTimeShiftRate(rate);
+        },
+        getTimeShift: function() {
+            return defaultListener.getTimeShift();
+        },
+        canRecordLocally: function() {
+            return defaultListener.canRecordLocally();
+        },
+        startLocalRecording: function(format) {
+            return defaultListener.startLocalRecording(format);
+        },
+        stopLocalRecording: function(fileName) {
+            return defaultListener.stopLocalRecording(fileName);
+        },
+        
+        /**
+         * Start capturing the microphone and streaming it to the hub.
+         * @param {string} hubUrl - Hub endpoint
+         * @param {number} eventId - Event to broadcast to
+         * @param {Object} [options]
+         * @param {string} [options.codec='pcm16'] - 'pcm16' or 'opus' (low-bandwidth, falls back to PCM16 if unsupported)
+         * @param {number} [options.channels=1] - 1 (mono) or 2 (stereo)
+         * @param {number} [options.bitrate] - Opus bitrate in bit/s (default 32000 mono, 64000 stereo)
+         * @param {string} [options.deviceId] - Input device from listInputDevices (browser default if empty)
+         * @param {boolean} [options.echoCancellation=true]
+         * @param {boolean} [options.noiseSuppression=true]
+         * @param {boolean} [options.autoGainControl=true]
+         * @param {Object} [options.dotNetRef] - Receives UpdateInputLevel({ rmsDb, peakDb, clips, totalClips, silentForMs, silenceAlarm })
+         *   and OnBroadcastConnectionChanged(state, backlogChunks, droppedChunks)
+         * @param {number} [options.maxBacklogMs=30000] - Audio kept locally while reconnecting
+         * @param {boolean} [options.backupRecording=false] - Also keep the full PCM16 mic stream in IndexedDB
+         *   (see listBackupRecordings); dotNetRef gets OnBackupRecordingFailed(message) if that fails
+         * @param {boolean} [options.standby=false] - Join as standby broadcaster even if nobody is live.
+         *   Without it the broadcast goes live unless another broadcaster already is (see getBroadcastRole);
+         *   dotNetRef gets OnBroadcastRoleChanged(live, recording) on handoffs and
+         *   UpdateBroadcasters([{ streamId, display, live, sampleRate, codec, channels }])
+         * @param {string} [options.track=''] - Audio track: '' for the floor or one of the event's
+         *   interpretation channels; standby and handoff apply among broadcasters of the same track
+         * @param {boolean} [options.monitorSpeakers=false] - Play approved listeners (raise hand) on this
+         *   device too. Headphones only: from speakers they reach the microphone again
+         */
+        startBroadcast: async function(hubUrl, eventId, options) {
+            const opts = options || {};
             try {
                 if (typeof signalR === 'undefined') {
                     throw new Error('SignalR is not loaded. Please ensure the SignalR script is included before audioStream.js');
                 }
-                console.log(`[startBroadcast] Starting for event ${eventId}, hubUrl: ${hubUrl}`);
-                console.log(`[startBroadcast] Current location: ${window.location.href}`);
+                log.debug('BROADCAST-DIAG', `[startBroadcast] Starting for event ${eventId}, hubUrl: ${hubUrl}`);
+                log.debug('BROADCAST-DIAG', `[startBroadcast] Current location: ${window.location.href}`);
                 
                 // Clean up any existing audio pipeline first
                 if (broadcast.processor) {
-                    console.log('[startBroadcast] Disconnecting existing processor');
-                    broadcast.processor.disconnect();
-                    broadcast.processor.onaudioprocess = null;
-                    broadcast.processor = null;
+                    log.debug('BROADCAST-DIAG', '[startBroadcast] Disconnecting existing processor');
+                    teardownCapture();
                 }
                 if (broadcast.stream) {
-                    console.log('[startBroadcast] Stopping existing media stream');
+                    log.debug('BROADCAST-DIAG', '[startBroadcast] Stopping existing media stream');
                     broadcast.stream.getTracks().forEach(track => track.stop());
                     broadcast.stream = null;
                 }
+                closeEncoder();
                 if (broadcast.audioCtx) {
-                    console.log('[startBroadcast] Closing existing AudioContext');
+                    log.debug('BROADCAST-DIAG', '[startBroadcast] Closing existing AudioContext');
                     await broadcast.audioCtx.close();
                     broadcast.audioCtx = null;
                 }
                 
                 broadcast.eventId = eventId;
+                broadcast.track = opts.track || '';
+                broadcast.monitorSpeakers = opts.monitorSpeakers === true;
+                broadcast.chunksSent = 0;
+                broadcast.sequence = 0;
+                broadcast.streamId = (Math.random() * 0x100000000) >>> 0;
+                broadcast.lastChunkTime = null;
+                broadcast.dotNetRef = opts.dotNetRef || null;
+                broadcast.paused = false;
+                broadcast.standby = true; // Nothing is sent until the hub confirms the live role
+                broadcast.role = null;
+                broadcast.backlog = [];
+                broadcast.backlogDropped = 0;
+                if (opts.maxBacklogMs > 0) broadcast.maxBacklogMs = opts.maxBacklogMs;
+                resetInputLevel();
                 if (broadcast.connection) {
-                    console.log('[startBroadcast] Stopping existing connection');
+                    log.debug('BROADCAST-DIAG', '[startBroadcast] Stopping existing connection');
                     await broadcast.connection.stop();
                 }
                 
-                broadcast.connection = new signalR.HubConnectionBuilder()
-                    .withUrl(hubUrl)
-                    .withAutomaticReconnect()
-                    .build();
+                broadcast.binaryTransport = isMessagePackAvailable();
+                broadcast.connection = createHubConnection(hubUrl, [0, 1000, 2000, 5000, 10000, 10000, 10000, 30000, 30000]);
+                setupBroadcastReconnectionHandlers(broadcast.connection);
+                broadcast.connection.on("BroadcastRoleChanged", (live, recording) => {
+                    setBroadcastRole(live, recording);
+                    notifyBroadcastRole();
+                });
+                // Approved listeners (raise hand) reach the floor's live broadcaster only
+                broadcast.connection.on("ReceiveSpeakerAudio", (cid, chunk) => playSpeakerChunk(cid, chunk));
+                broadcast.connection.on("SpeakerEnded", (cid) => {
+                    broadcast.speakers.delete(cid);
+                    log.info('BROADCAST-DIAG', `Speaker ${cid} ended`);
+                });
+                broadcast.connection.on("BroadcastersChanged", (broadcasters) => {
+                    if (!broadcast.dotNetRef) return;
+                    // Normalize casing (MessagePack keeps the hub's names) before handing to Blazor
+                    const normalized = (broadcasters || []).map(b => {
+                        const item = {};
+                        for (const key of ['streamId', 'display', 'live', 'sampleRate', 'codec', 'channels']) {
+                            item[key] = readHubField(b, key);
+                        }
+                        return item;
+                    });
+                    broadcast.dotNetRef.invokeMethodAsync('UpdateBroadcasters', normalized)
+                        .catch(err => log.warn('BROADCAST-DIAG', 'Failed to send broadcaster list to UI:', err));
+                });
+                log.debug('BROADCAST-DIAG', '[startBroadcast] Transport protocol:', broadcast.binaryTransport ? 'MessagePack (binary)' : 'JSON (Base64)');
                 
-                console.log('[startBroadcast] Starting SignalR connection...');
+                log.debug('BROADCAST-DIAG', '[startBroadcast] Starting SignalR connection...');
                 await broadcast.connection.start();
-                console.log('[startBroadcast] SignalR connection established, state:', broadcast.connection.state);
+                log.debug('BROADCAST-DIAG', '[startBroadcast] SignalR connection established, state:', broadcast.connection.state);
 
-                console.log('[startBroadcast] Requesting microphone access...');
-                const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-                console.log('[startBroadcast] Microphone access granted');
+                log.debug('BROADCAST-DIAG', '[startBroadcast] Requesting microphone access...');
+                broadcast.channels = opts.channels === 2 ? 2 : 1;
+                applyCaptureOptions(opts.deviceId, opts);
+                const audioConstraints = buildAudioConstraints();
+                log.debug('BROADCAST-DIAG', '[startBroadcast] Audio constraints:', audioConstraints);
+                const stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints });
+                log.debug('BROADCAST-DIAG', '[startBroadcast] Microphone access granted:', stream.getAudioTracks()[0]?.label);
                 
                 broadcast.stream = stream;
                 broadcast.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
                 
                 // Detect actual sample rate from AudioContext (device-dependent)
                 broadcast.sampleRate = broadcast.audioCtx.sampleRate;
-                console.log('[BROADCAST-DIAG] AudioContext created');
-                console.log('[BROADCAST-DIAG] Detected sample rate:', broadcast.sampleRate, 'Hz');
-                console.log('[BROADCAST-DIAG] AudioContext state:', broadcast.audioCtx.state);
-                
-                const source = broadcast.audioCtx.createMediaStreamSource(stream);
-                const processor = broadcast.audioCtx.createScriptProcessor(4096, 1, 1);
+                log.info('BROADCAST-DIAG', 'AudioContext created');
+                log.info('BROADCAST-DIAG', 'Detected sample rate:', broadcast.sampleRate, 'Hz');
+                log.info('BROADCAST-DIAG', 'AudioContext state:', broadcast.audioCtx.state);
                 
-                const chunkDurationMs = (4096 / broadcast.sampleRate) * 1000;
-                console.log('[BROADCAST-DIAG] Audio processor created, buffer size: 4096 samples');
-                console.log('[BROADCAST-DIAG] Expected chunk interval:', chunkDurationMs.toFixed(2), 'ms');
+                // Optional compressed mode for low-bandwidth listeners
+                broadcast.codec = 'pcm16';
+                broadcast.encodeTimestampUs = 0;
+                if (opts.codec === 'opus') {
+                    const defaultBitrate = broadcast.channels === 2 ? 64000 : 32000;
+                    broadcast.encoder = await createOpusEncoder(broadcast.sampleRate, broadcast.channels, opts.bitrate || defaultBitrate);
+                    if (broadcast.encoder) broadcast.codec = 'opus';
+                }
+                log.info('BROADCAST-DIAG', 'Stream codec:', broadcast.codec, 'channels:', broadcast.channels);
                 
-                let chunkCount = 0;
-                let lastChunkTime = null;
-                processor.onaudioprocess = async (e) => {
-                    chunkCount++;
-                    broadcast.chunksSent++;
-                    
-                    const now = Date.now();
-                    const intervalMs = lastChunkTime ? (now - lastChunkTime) : 0;
-                    lastChunkTime = now;
-                    
-                    if (chunkCount === 1) {
-                        console.log('[BROADCAST-DIAG] First audio process event triggered!');
-                        console.log('[BROADCAST-DIAG] Sample rate:', broadcast.sampleRate, 'Hz');
-                    }
-                    if (!broadcast.connection || broadcast.connection.state !== 'Connected') {
-                        if (chunkCount === 1) {
-                            console.log('[broadcast] Connection not ready, state:', broadcast.connection?.state);
-                        }
-                        return;
-                    }
-                    const data = e.inputBuffer.getChannelData(0);
-                    const bytes = pcmFloatTo16BitPCM(data);
-                    
-                    // Log every 100th chunk
-                    if (chunkCount % 100 === 0) {
-                        console.log(`[BROADCAST-DIAG] Chunk #${chunkCount}: ${bytes.length}B, interval: ${intervalMs}ms, sampleRate: ${broadcast.sampleRate}Hz`);
-                    }
+                if (opts.backupRecording) {
                     try {
-                        // Convert Uint8Array to Base64 string for SignalR JSON serialization
-                        const base64 = btoa(String.fromCharCode.apply(null, bytes));
-                        await broadcast.connection.invoke("BroadcastAudioChunk", broadcast.eventId, base64);
+                        await startBackupRecording();
                     } catch (err) {
-                        console.error("[broadcast] Error sending chunk:", err);
-                        if (chunkCount === 1) {
-                            console.error("[broadcast] Full error details:", err);
-                        }
+                        // The live stream matters more than the backup: carry on without it
+                        log.error('BROADCAST-DIAG', 'Backup recording could not be started:', err);
+                        broadcast.dotNetRef?.invokeMethodAsync('OnBackupRecordingFailed', err?.message || String(err)).catch(() => {});
                     }
-                };
+                }
+
+                const source = broadcast.audioCtx.createMediaStreamSource(stream);
+                broadcast.source = source;
                 
-                source.connect(processor);
-                processor.connect(broadcast.audioCtx.destination);
-                broadcast.processor = processor;
-                console.log('[startBroadcast] Audio pipeline connected successfully');
+                const chunkDurationMs = (captureChunkSize / broadcast.sampleRate) * 1000;
+                log.info('BROADCAST-DIAG', 'Expected chunk interval:', chunkDurationMs.toFixed(2), 'ms');
+                
+                // Prefer AudioWorklet (off main thread); ScriptProcessor only when unsupported
+                broadcast.processor = await createCapture(broadcast.audioCtx, source, broadcast.channels, handleCapturedChunk);
+                log.debug('BROADCAST-DIAG', '[startBroadcast] Audio pipeline connected successfully');
+
+                const role = await registerBroadcaster(broadcast.connection, opts.standby === true);
+                log.info('BROADCAST-DIAG', `[startBroadcast] Registered as ${role.live ? 'live' : 'standby'} broadcaster`);
                 return true;
             } catch (error) {
-                console.error('[startBroadcast] ERROR:', error);
-                console.error('[startBroadcast] Error stack:', error.stack);
+                log.error('BROADCAST-DIAG', '[startBroadcast] ERROR:', error);
+                log.error('BROADCAST-DIAG', '[startBroadcast] Error stack:', error.stack);
                 throw error;
             }
         },
+        /**
+         * Replace the capture device and/or DSP flags while broadcasting.
+         * Only the media source is swapped: the AudioContext, capture node,
+         * encoder and hub connection stay up, so listeners hear a short glitch
+         * rather than a stream restart.
+         * @param {string} [deviceId] - New input device (empty = browser default, undefined = keep current)
+         * @param {Object} [processing] - { echoCancellation, noiseSuppression, autoGainControl }
+         * @returns {Promise<boolean>} false when no broadcast is active
+         */
+        switchInputDevice: async function(deviceId, processing) {
+            applyCaptureOptions(deviceId, processing);
+            if (!broadcast.audioCtx || !broadcast.processor) {
+                log.debug('BROADCAST-DIAG', '[switchInputDevice] No active broadcast, settings stored for next start');
+                return false;
+            }
+
+            const audioConstraints = buildAudioConstraints();
+            log.debug('BROADCAST-DIAG', '[switchInputDevice] Requesting new input with constraints:', audioConstraints);
+            // Acquire the new stream first so a failure leaves the current input running
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints });
+            const source = broadcast.audioCtx.createMediaStreamSource(stream);
+
+            const oldStream = broadcast.stream;
+            if (broadcast.source) broadcast.source.disconnect();
+            source.connect(broadcast.processor);
+            broadcast.source = source;
+            broadcast.stream = stream;
+            if (oldStream) oldStream.getTracks().forEach(t => t.stop());
+
+            log.debug('BROADCAST-DIAG', '[switchInputDevice] Switched input to:', stream.getAudioTracks()[0]?.label);
+            return true;
+        },
+        /**
+         * List audio input devices. Labels are empty until microphone
+         * permission has been granted once (browser privacy rule).
+         * @returns {Promise<Array<{deviceId: string, label: string}>>}
+         */
+        listInputDevices: async function() {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter(d => d.kind === 'audioinput')
+                .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Microphone ${i + 1}` }));
+        },
+        /**
+         * Stop sending audio for a break without ending the stream. Capture and
+         * metering keep running; listeners are told via StreamPaused and the
+         * recording simply has no audio for the break.
+         */
+        pauseBroadcast: async function() {
+            if (!broadcast.processor || broadcast.paused || broadcast.standby) return false;
+            broadcast.paused = true;
+            log.debug('BROADCAST-DIAG', '[pauseBroadcast] Broadcast paused, chunks sent so far:', broadcast.chunksSent);
+            await broadcast.connection.invoke("NotifyStreamPaused", broadcast.eventId);
+            return true;
+        },
+        /**
+         * Resume sending audio after pauseBroadcast. Sequence numbers continue
+         * where they stopped, so listeners do not see the break as packet loss.
+         */
+        resumeBroadcast: async function() {
+            if (!broadcast.processor || !broadcast.paused) return false;
+            await broadcast.connection.invoke("NotifyStreamResumed", broadcast.eventId);
+            broadcast.paused = false;
+            log.debug('BROADCAST-DIAG', '[resumeBroadcast] Broadcast resumed');
+            return true;
+        },
         startRecording: async function(eventId) {
-            console.log(`[startRecording] Called for event ${eventId}`);
+            log.debug('BROADCAST-DIAG', `[startRecording] Called for event ${eventId}`);
             if (!broadcast.connection || broadcast.connection.state !== 'Connected') {
-                console.error('[startRecording] No active broadcast connection!');
+                log.error('BROADCAST-DIAG', '[startRecording] No active broadcast connection!');
                 throw new Error('Must start broadcast before recording');
             }
-            console.log('[startRecording] Invoking StartRecording on broadcast connection...');
+            log.debug('BROADCAST-DIAG', '[startRecording] Invoking StartRecording on broadcast connection...');
             const result = await broadcast.connection.invoke("StartRecording", eventId);
-            console.log(`[startRecording] Result: ${result}`);
+            log.debug('BROADCAST-DIAG', `[startRecording] Result: ${result}`);
             return result;
         },
         stopRecording: async function(eventId) {
-            console.log(`[stopRecording] Called for event ${eventId}`);
+            log.debug('BROADCAST-DIAG', `[stopRecording] Called for event ${eventId}`);
             if (!broadcast.connection || broadcast.connection.state !== 'Connected') {
-                console.error('[stopRecording] No active broadcast connection!');
+                log.error('BROADCAST-DIAG', '[stopRecording] No active broadcast connection!');
                 return null;
             }
-            console.log('[stopRecording] Invoking StopRecording on broadcast connection...');
+            log.debug('BROADCAST-DIAG', '[stopRecording] Invoking StopRecording on broadcast connection...');
             const result = await broadcast.connection.invoke("StopRecording", eventId);
-            console.log(`[stopRecording] Result: ${result}`);
+            log.debug('BROADCAST-DIAG', `[stopRecording] Result: ${result}`);
             return result;
         },
         stopBroadcast: async function(){
+            if (broadcast.role && broadcast.connection && broadcast.connection.state === 'Connected') {
+                try {
+                    await broadcast.connection.invoke("LeaveBroadcasters", broadcast.eventId, broadcast.streamId);
+                } catch (err) {
+                    log.warn('BROADCAST-DIAG', 'Error leaving broadcasters:', err);
+                }
+            }
             try {
-                if (broadcast.processor) broadcast.processor.disconnect();
+                teardownCapture();
+                closeEncoder();
                 if (broadcast.stream) {
                     broadcast.stream.getTracks().forEach(t => t.stop());
                 }
                 // Note: Don't stop connection immediately - let invoke handle it
                 // This allows StopRecording to be called while connection is still active
             } catch {}
+            try {
+                await finishBackupRecording();
+            } catch (err) {
+                log.error('BROADCAST-DIAG', 'Error finishing backup recording:', err);
+            }
             broadcast.processor = null;
             broadcast.stream = null;
+            broadcast.level = null;
+            broadcast.dotNetRef = null;
+            broadcast.paused = false;
+            broadcast.standby = false;
+            broadcast.role = null;
+            broadcast.backlog = [];
+        },
+        /**
+         * Live/standby state of this broadcaster, null when not broadcasting.
+         * @returns {{live: boolean, recording: boolean, streamId: number}|null}
+         *   recording: the hub was recording the event when the role was last assigned
+         */
+        getBroadcastRole: function() {
+            return broadcast.role;
+        },
+        /**
+         * Take the live role while on standby. Only succeeds when nobody else is live
+         * (otherwise the live broadcaster has to hand off); announces the stream format.
+         * @returns {Promise<{live: boolean, recording: boolean, streamId: number}|null>}
+         */
+        goLive: async function() {
+            if (!broadcast.processor || !broadcast.connection) return null;
+            if (!broadcast.standby) return broadcast.role;
+            const role = await registerBroadcaster(broadcast.connection, false);
+            if (role.live) {
+                await broadcast.connection.invoke("NotifyStreamStarted", broadcast.eventId, broadcast.sampleRate, broadcast.codec, broadcast.channels);
+            }
+            return role;
+        },
+        /**
+         * Hand the live role to a standby broadcaster of the same event. Both sides
+         * learn the outcome through OnBroadcastRoleChanged.
+         * @param {number} streamId - The standby broadcaster's stream id (from UpdateBroadcasters)
+         * @returns {Promise<boolean>} false if this broadcaster is not live or the target left
+         */
+        handOffBroadcast: async function(streamId) {
+            if (!broadcast.connection || broadcast.connection.state !== 'Connected') return false;
+            return await broadcast.connection.invoke("HandOffBroadcast", broadcast.eventId, streamId);
+        },
+        /**
+         * Backup recordings kept in this browser, newest first.
+         * @param {number} [eventId] - Only recordings of this event
+         * @returns {Promise<Array<{ id, eventId, startedAt, bytes, durationSeconds, sampleRate, channels, recording, uploadId, recordingId }>>}
+         *   recording is true while the backup is still being written; recordingId is set once uploaded
+         */
+        listBackupRecordings: async function(eventId) {
+            let sessions;
+            try {
+                const db = await openBackupDb();
+                sessions = await idbDone(db.transaction('backupSessions', 'readonly').objectStore('backupSessions').getAll());
+            } catch (err) {
+                log.warn('BROADCAST-DIAG', 'Backup recordings unavailable:', err?.message);
+                return [];
+            }
+            return sessions
+                .filter(s => eventId == null || s.eventId === eventId)
+                .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+                .map(describeBackupSession);
+        },
+        /**
+         * Save a backup recording as a WAV file
+         */
+        downloadBackupRecording: async function(id, fileName) {
+            const { blob } = await readBackupRecording(id);
+            downloadBlob(blob, fileName || `${id}-backup.wav`);
+            return blob.size;
+        },
+        /**
+         * Upload a finished backup recording to the server as a WAV file, in chunks.
+         * The upload id is kept with the backup, so calling this again after a failure
+         * or page reload continues where the server left off.
+         * @param {string} id - Backup recording from listBackupRecordings
+         * @param {Object} [options]
+         * @param {number} [options.replaceRecordingId] - Server recording of the same event whose file is replaced;
+         *   a new recording is added when omitted
+         * @param {Object} [options.dotNetRef] - Receives OnBackupUploadProgress(sentBytes, totalBytes)
+         * @returns {Promise<{ recordingId, fileName, durationSeconds }>}
+         */
+        uploadBackupRecording: async function(id, options) {
+            const opts = options || {};
+            const replaceRecordingId = opts.replaceRecordingId || null;
+            if (broadcast.backup?.session.id === id) {
+                throw new Error('This backup is still being recorded; stop the broadcast first');
+            }
+            const { session, blob } = await readBackupRecording(id);
+            const notifyProgress = (sent) => opts.dotNetRef?.invokeMethodAsync('OnBackupUploadProgress', sent, blob.size).catch(() => {});
+
+            let received = 0;
+            let chunkBytes = backupUploadChunkBytes;
+            if (session.uploadId && session.replaceRecordingId === replaceRecordingId) {
+                try {
+                    const { body } = await backupUploadRequest(`${backupUploadUrl}/${session.uploadId}`);
+                    if (body.totalBytes === blob.size) {
+                        received = body.receivedBytes;
+                        chunkBytes = Math.min(chunkBytes, body.maxChunkBytes);
+                        log.info('BROADCAST-DIAG', `Resuming backup upload ${session.uploadId} at ${received}/${blob.size} bytes`);
+                    } else {
+                        session.uploadId = null;
+                    }
+                } catch (err) {
+                    if (err.status !== 404) throw err;
+                    session.uploadId = null; // Completed, cancelled or cleaned up on the server
+                }
+            } else if (session.uploadId) {
+                // Target changed: drop the old upload and start over
+                await backupUploadRequest(`${backupUploadUrl}/${session.uploadId}`, { method: 'DELETE' }).catch(() => {});
+                session.uploadId = null;
+            }
+            if (!session.uploadId) {
+                const { body } = await backupUploadRequest(backupUploadUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ eventId: session.eventId, totalBytes: blob.size, replaceRecordingId, track: session.track || '' })
+                });
+                session.uploadId = body.uploadId;
+                session.replaceRecordingId = replaceRecordingId;
+                chunkBytes = Math.min(chunkBytes, body.maxChunkBytes);
+                received = 0;
+                await putBackupSession(session);
+                log.info('BROADCAST-DIAG', `Backup upload ${session.uploadId} created for ${id}: ${blob.size} bytes`);
+            }
+            notifyProgress(received);
+
+            let failures = 0;
+            while (received < blob.size) {
+                const end = Math.min(blob.size, received + chunkBytes);
+                try {
+                    const { body } = await backupUploadRequest(`${backupUploadUrl}/${session.uploadId}?offset=${received}`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body: blob.slice(received, end)
+                    });
+                    received = body.receivedBytes; // On 409 this is where the server actually is
+                    failures = 0;
+                    notifyProgress(received);
+                } catch (err) {
+                    // Client errors will not fix themselves; network and server errors are retried with backoff
+                    if ((err.status >= 400 && err.status < 500) || ++failures > backupUploadRetries) throw err;
+                    const delayMs = Math.min(30000, 1000 * 2 ** failures);
+                    log.warn('BROADCAST-DIAG', `Backup upload chunk at ${received} failed, retry ${failures} in ${delayMs}ms:`, err?.message);
+                    await new Promise(resolve => setTimeout(resolve, delayMs));
+                }
+            }
+
+            const { body: result } = await backupUploadRequest(`${backupUploadUrl}/${session.uploadId}/complete`, { method: 'POST' });
+            session.uploadId = null;
+            session.recordingId = result.recordingId;
+            await putBackupSession(session);
+            log.info('BROADCAST-DIAG', `Backup ${id} uploaded as recording ${result.recordingId} (${result.fileName})`);
+            return result;
+        },
+        /**
+         * Delete a backup recording from this browser (and its unfinished server upload, if any)
+         */
+        deleteBackupRecording: async function(id) {
+            if (broadcast.backup?.session.id === id) {
+                throw new Error('This backup is still being recorded; stop the broadcast first');
+            }
+            const db = await openBackupDb();
+            const tx = db.transaction(['backupSessions', 'backupChunks'], 'readwrite');
+            const sessionRequest = tx.objectStore('backupSessions').get(id);
+            tx.objectStore('backupSessions').delete(id);
+            const cursorRequest = tx.objectStore('backupChunks').index('session').openKeyCursor(IDBKeyRange.only(id));
+            const chunks = tx.objectStore('backupChunks');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                chunks.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            await idbDone(tx);
+            const uploadId = sessionRequest.result?.uploadId;
+            if (uploadId) {
+                await backupUploadRequest(`${backupUploadUrl}/${uploadId}`, { method: 'DELETE' }).catch(() => {});
+            }
+            log.info('BROADCAST-DIAG', 'Backup recording deleted:', id);
         },
         closeConnection: async function(){
-            console.log('[closeConnection] Called, processor active:', !!broadcast.processor);
+            log.debug('BROADCAST-DIAG', '[closeConnection] Called, processor active:', !!broadcast.processor);
             
             // Don't close connection if we're actively broadcasting
             if (broadcast.processor) {
-                console.log('[closeConnection] Ignoring - broadcast is active');
+                log.debug('BROADCAST-DIAG', '[closeConnection] Ignoring - broadcast is active');
                 return;
             }
             
@@ -761,38 +3894,35 @@ window.konfAudio = (function(){
                 if (broadcast.connection && 
                     broadcast.connection.state !== 'Disconnected' && 
                     broadcast.connection.state !== 'Disconnecting') {
-                    console.log('[closeConnection] Stopping connection');
+                    log.debug('BROADCAST-DIAG', '[closeConnection] Stopping connection');
                     await broadcast.connection.stop();
                 }
             } catch (err) {
                 // Suppress connection close errors - they're expected during cleanup
-                console.log("Connection close (expected):", err.message);
+                log.debug('BROADCAST-DIAG', 'Connection close (expected):', err.message);
             }
             broadcast.connection = null;
         },
         invoke: async function(hubUrl, method, ...args){
             // Use existing broadcast connection if available and connected
-            console.log(`[invoke] Called for ${method}, broadcast.connection exists: ${!!broadcast.connection}, state: ${broadcast.connection?.state}`);
+            log.debug('BROADCAST-DIAG', `[invoke] Called for ${method}, broadcast.connection exists: ${!!broadcast.connection}, state: ${broadcast.connection?.state}`);
             
             if (broadcast.connection && broadcast.connection.state === 'Connected') {
-                console.log(`[invoke] Using existing broadcast connection for ${method}`);
+                log.debug('BROADCAST-DIAG', `[invoke] Using existing broadcast connection for ${method}`);
                 return await broadcast.connection.invoke(method, ...args);
             }
             
             // Otherwise create a temporary connection
-            console.log(`[invoke] Creating temporary connection for ${method}`);
-            const tempConnection = new signalR.HubConnectionBuilder()
-                .withUrl(hubUrl)
-                .withAutomaticReconnect()
-                .build();
+            log.debug('BROADCAST-DIAG', `[invoke] Creating temporary connection for ${method}`);
+            const tempConnection = createHubConnection(hubUrl);
             await tempConnection.start();
-            console.log(`[invoke] Temporary connection started for ${method}`);
+            log.debug('BROADCAST-DIAG', `[invoke] Temporary connection started for ${method}`);
             try {
                 const result = await tempConnection.invoke(method, ...args);
-                console.log(`[invoke] ${method} completed successfully`);
+                log.debug('BROADCAST-DIAG', `[invoke] ${method} completed successfully`);
                 return result;
             } finally {
-                console.log(`[invoke] Stopping temporary connection for ${method}`);
+                log.debug('BROADCAST-DIAG', `[invoke] Stopping temporary connection for ${method}`);
                 await tempConnection.stop();
             }
         },
@@ -800,45 +3930,63 @@ window.konfAudio = (function(){
         // Manager connection for tracking listeners
         joinManager: async function(hubUrl, eventId, dotNetRef) {
             try {
-                console.log(`[joinManager] Joining for event ${eventId}, hubUrl: ${hubUrl}`);
+                log.debug('BROADCAST-DIAG', `[joinManager] Joining for event ${eventId}, hubUrl: ${hubUrl}`);
                 if (broadcast.managerConnection) {
-                    console.log('[joinManager] Stopping existing manager connection');
+                    log.debug('BROADCAST-DIAG', '[joinManager] Stopping existing manager connection');
                     await broadcast.managerConnection.stop();
                 }
                 
-                broadcast.managerConnection = new signalR.HubConnectionBuilder()
-                    .withUrl(hubUrl)
-                    .withAutomaticReconnect()
-                    .build();
+                broadcast.managerConnection = createHubConnection(hubUrl);
                 
                 // Handle listener events
                 broadcast.managerConnection.on("ListenersSnapshot", (listeners) => {
-                    console.log(`[joinManager] Received ListenersSnapshot:`, listeners);
+                    log.debug('BROADCAST-DIAG', `[joinManager] Received ListenersSnapshot:`, listeners);
                     dotNetRef.invokeMethodAsync('UpdateListeners', listeners);
                 });
                 
-                broadcast.managerConnection.on("ListenerJoined", (cid, display) => {
-                    console.log(`[joinManager] Listener joined: ${display} (${cid})`);
-                    dotNetRef.invokeMethodAsync('AddListener', cid, display);
+                // Also sent when a listener switches audio track
+                broadcast.managerConnection.on("ListenerJoined", (cid, display, track) => {
+                    log.debug('BROADCAST-DIAG', `[joinManager] Listener joined: ${display} (${cid}) on track '${track || ''}'`);
+                    dotNetRef.invokeMethodAsync('AddListener', cid, display, track || '');
+                });
+                
+                broadcast.managerConnection.on("ListenerStats", (cid, stats) => {
+                    // Normalize casing (MessagePack keeps PascalCase) before handing to Blazor
+                    const normalized = {};
+                    for (const key of ['latencyMs', 'jitterMs', 'chunksReceived', 'chunksLost', 'chunksDropped', 'underruns', 'reportedAt']) {
+                        normalized[key] = readHubField(stats, key);
+                    }
+                    dotNetRef.invokeMethodAsync('UpdateListenerStats', cid, normalized);
+                });
+                
+                // Raise hand: 'none' | 'raised' | 'speaking'
+                broadcast.managerConnection.on("ListenerHandChanged", (cid, state) => {
+                    log.debug('BROADCAST-DIAG', `[joinManager] Listener ${cid} hand: ${state}`);
+                    dotNetRef.invokeMethodAsync('UpdateListenerHand', cid, state);
+                });
+                
+                broadcast.managerConnection.on("ListenerRenamed", (cid, display) => {
+                    log.debug('BROADCAST-DIAG', `[joinManager] Listener ${cid} renamed: ${display}`);
+                    dotNetRef.invokeMethodAsync('RenameListener', cid, display);
                 });
                 
                 broadcast.managerConnection.on("ListenerLeft", (cid) => {
-                    console.log(`[joinManager] Listener left: ${cid}`);
+                    log.debug('BROADCAST-DIAG', `[joinManager] Listener left: ${cid}`);
                     dotNetRef.invokeMethodAsync('RemoveListener', cid);
                 });
                 
                 // Start connection and wait for it to be ready
-                console.log('[joinManager] Starting SignalR connection...');
+                log.debug('BROADCAST-DIAG', '[joinManager] Starting SignalR connection...');
                 await broadcast.managerConnection.start();
-                console.log('[joinManager] SignalR connection established, state:', broadcast.managerConnection.state);
+                log.debug('BROADCAST-DIAG', '[joinManager] SignalR connection established, state:', broadcast.managerConnection.state);
                 
                 // Now join the manager group
-                console.log('[joinManager] Invoking JoinManager...');
+                log.debug('BROADCAST-DIAG', '[joinManager] Invoking JoinManager...');
                 await broadcast.managerConnection.invoke("JoinManager", eventId);
-                console.log('[joinManager] Successfully joined manager group');
+                log.debug('BROADCAST-DIAG', '[joinManager] Successfully joined manager group');
             } catch (err) {
-                console.error("[joinManager] ERROR:", err);
-                console.error("[joinManager] Error stack:", err.stack);
+                log.error('BROADCAST-DIAG', "[joinManager] ERROR:", err);
+                log.error('BROADCAST-DIAG', "[joinManager] Error stack:", err.stack);
             }
         },
         
@@ -850,10 +3998,162 @@ window.konfAudio = (function(){
                 broadcast.managerConnection = null;
             }
         },
+        /**
+         * Hear approved listeners on this device while broadcasting (see options.monitorSpeakers).
+         * @param {boolean} enabled - Only with headphones
+         */
+        setSpeakerMonitor: function(enabled) {
+            broadcast.monitorSpeakers = enabled === true;
+            applySpeakerMonitor();
+        },
+        /**
+         * Let a listener with a raised hand speak (its microphone is mixed into the
+         * floor broadcast and the recording until revokeSpeaker).
+         * @param {number} eventId - Event managed with joinManager
+         * @param {string} cid - Listener connection id from UpdateListeners/AddListener
+         * @returns {Promise<boolean>}
+         */
+        approveSpeaker: async function(eventId, cid) {
+            if (!broadcast.managerConnection) return false;
+            return await broadcast.managerConnection.invoke("ApproveSpeaker", eventId, cid);
+        },
+        // End a listener's turn to speak, or dismiss a raised hand
+        revokeSpeaker: async function(eventId, cid) {
+            if (!broadcast.managerConnection) return false;
+            return await broadcast.managerConnection.invoke("RevokeSpeaker", eventId, cid);
+        },
+        /**
+         * Disconnect a listener (it gets Kicked and stops; it may join again).
+         * @returns {Promise<boolean>} false if the listener is gone or the caller may not moderate
+         */
+        kickListener: async function(eventId, cid) {
+            if (!broadcast.managerConnection) return false;
+            return await broadcast.managerConnection.invoke("KickListener", eventId, cid);
+        },
+        /**
+         * Ban a listener's account, or the stream token of a guest, from the event and
+         * disconnect all of its connections (AccessRevoked).
+         * @returns {Promise<boolean>} false also for guests without account or token (nothing to ban)
+         */
+        banListener: async function(eventId, cid) {
+            if (!broadcast.managerConnection) return false;
+            return await broadcast.managerConnection.invoke("BanListener", eventId, cid);
+        },
+        /**
+         * Bans of the event, newest first.
+         * @returns {Promise<Array<{ id: number, displayName: string, account: boolean, createdAt: * }>>}
+         */
+        getListenerBans: async function(eventId) {
+            if (!broadcast.managerConnection) return [];
+            const bans = await broadcast.managerConnection.invoke("GetListenerBans", eventId);
+            // Normalize casing (MessagePack keeps PascalCase)
+            return (bans || []).map(b => ({
+                id: readHubField(b, 'id'),
+                displayName: readHubField(b, 'displayName'),
+                account: readHubField(b, 'account') === true,
+                createdAt: readHubField(b, 'createdAt')
+            }));
+        },
+        liftListenerBan: async function(eventId, banId) {
+            if (!broadcast.managerConnection) return false;
+            return await broadcast.managerConnection.invoke("LiftListenerBan", eventId, banId);
+        },
+        
+        /**
+         * Health snapshot of the listener and broadcaster pipelines on this page.
+         * listen is the previous session's final snapshot when not listening.
+         * @returns {{ listen: Object|null, broadcast: Object|null }}
+         */
+        getStats: function() {
+            return collectStats();
+        },
+        
+        /**
+         * Set the console log level ('error', 'warn', 'info', 'debug').
+         * The ring buffer keeps every level regardless.
+         */
+        setLogLevel: function(level) {
+            if (!(level in logLevels)) return false;
+            logState.level = level;
+            return true;
+        },
+        
+        /**
+         * Show or hide one log category (e.g. 'SIGNALR') in the console.
+         */
+        setLogCategory: function(category, enabled) {
+            if (enabled) logState.disabledCategories.delete(category);
+            else logState.disabledCategories.add(category);
+        },
+        
+        // Helper to get the logging configuration for settings UIs
+        getLogConfig: function() {
+            return {
+                level: logState.level,
+                categories: logCategories.map(name => ({ name, enabled: !logState.disabledCategories.has(name) }))
+            };
+        },
+        
+        /**
+         * Everything support needs to diagnose a stream problem: environment,
+         * stats, settings and the recent log, as a JSON string. Access tokens
+         * are removed from the page URL.
+         */
+        getDiagnosticBundle: function() {
+            let pageUrl = window.location.href;
+            try {
+                const url = new URL(window.location.href);
+                if (url.searchParams.has('token')) url.searchParams.set('token', 'REDACTED');
+                pageUrl = url.href;
+            } catch {}
+            const bundle = {
+                generatedAt: new Date().toISOString(),
+                pageUrl,
+                userAgent: navigator.userAgent,
+                features: {
+                    audioWorklet: typeof AudioWorkletNode !== 'undefined',
+                    webCodecsDecoder: typeof AudioDecoder !== 'undefined',
+                    webCodecsEncoder: typeof AudioEncoder !== 'undefined',
+                    wakeLock: 'wakeLock' in navigator,
+                    messagePack: isMessagePackAvailable()
+                },
+                audioContext: defaultListener.getAudioContextInfo(),
+                stats: collectStats(),
+                listenerSessions: Array.from(listenerSessions).filter(x => x !== defaultListener).map(x => x.getStats()),
+                listenerSettings: defaultListener.getSettings(),
+                logLevel: logState.level,
+                log: logState.ring.slice()
+            };
+            return JSON.stringify(bundle, null, 2);
+        },
+        
+        /**
+         * Save the diagnostic bundle as a .json download.
+         */
+        downloadDiagnostics: function(fileName) {
+            const blob = new Blob([window.konfAudio.getDiagnosticBundle()], { type: 'application/json' });
+            downloadBlob(blob, fileName || `konf-audio-diagnostics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        },
         
         // Helper to get current broadcast sample rate
         getSampleRate: function() {
             return broadcast.sampleRate || 44100;
+        },
+        
+        // Helper to get the codec the broadcast actually uses ('pcm16' or 'opus')
+        getCodec: function() {
+            return broadcast.codec || 'pcm16';
+        },
+        
+        // Helper to get the broadcast channel count (1 or 2)
+        getChannels: function() {
+            return broadcast.channels || 1;
+        },
+        
+        // Helper to get the device id of the live input track ('' when not capturing)
+        getInputDeviceId: function() {
+            const track = broadcast.stream ? broadcast.stream.getAudioTracks()[0] : null;
+            return (track && track.getSettings().deviceId) || '';
         }
     };
 })();